@@ -16,13 +16,44 @@
 const APP_CONFIG = Object.freeze({
     TOAST_DURATION: 5000,
     ANIMATION_DURATION: 300,
+    HIGHLIGHT_DURATION: 2000,
+    MAGNET_PREVIEW_DELAY: 300,
+    FEED_HISTORY_PAGE_SIZE: 25,
+    HISTORY_PAGE_SIZE: 25,
+    HISTORY_SEARCH_DELAY: 300,
+    DETAILS_REFRESH_INTERVAL: 2000,
     API_ENDPOINTS: {
         DOWNLOADS: '/api/downloads',
         DOWNLOAD: '/api/download',
+        TORRENT_UPLOAD: '/api/download/torrent',
         FILES: '/api/files',
+        ALT_SPEED: '/api/bandwidth/alt-speed',
+        MAGNET_PARSE: '/api/magnet/parse',
+        METADATA: '/api/metadata',
+        CATEGORIES: '/api/categories',
+        CREATE_TORRENT: '/api/torrent/create',
+        FEEDS: '/api/feeds',
+        FEED_HISTORY: '/api/feeds/history',
+        HISTORY: '/api/history',
+        HISTORY_STATS: '/api/history/stats',
+        SCHEDULE: '/api/schedule',
+        HOOKS: '/api/hooks',
     },
 });
 
+/** Modes of the speed schedule */
+const SCHEDULE_MODES = Object.freeze(['full', 'limited', 'paused']);
+
+/** Display names of the schedule modes */
+const SCHEDULE_MODE_LABELS = Object.freeze({
+    full: 'Full speed',
+    limited: 'Limited',
+    paused: 'Paused',
+});
+
+/** Short weekday names, Sunday first like Date.getDay() */
+const WEEKDAY_NAMES = Object.freeze(['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']);
+
 /** Streamable media file extensions */
 const STREAMABLE_EXTENSIONS = Object.freeze([
     'mp4', 'mkv', 'webm', 'mov', 'm4v', 'avi',
@@ -102,6 +133,29 @@ const FILE_ICONS = Object.freeze({
     iso: 'fa-compact-disc',
 });
 
+/** File priority cycle order and icons */
+const FILE_PRIORITY_ORDER = Object.freeze(['normal', 'high', 'low']);
+const FILE_PRIORITY_ICONS = Object.freeze({
+    high: 'fa-arrow-up',
+    normal: 'fa-minus',
+    low: 'fa-arrow-down',
+});
+
+/** Piece sizes offered when creating a torrent (16 KB to 16 MB) */
+const PIECE_LENGTH_OPTIONS = Object.freeze(
+    Array.from({ length: 11 }, (_, i) => 16 * 1024 * Math.pow(2, i)),
+);
+
+/** Piece states in the top two bits of each byte of a piece map */
+const PIECE_STATES = Object.freeze({
+    missing: 0,
+    active: 1,
+    done: 2,
+});
+
+/** Bits of a piece map byte holding the number of peers that have the piece */
+const PIECE_AVAILABILITY_MASK = 0x3f;
+
 /** Toast icon mappings */
 const TOAST_ICONS = Object.freeze({
     success: 'fa-check-circle',
@@ -117,13 +171,29 @@ const TOAST_ICONS = Object.freeze({
 /** Cached DOM element references */
 const elements = {
     magnetInput: document.getElementById('magnetInput'),
+    magnetPreview: document.getElementById('magnetPreview'),
+    categorySelect: document.getElementById('categorySelect'),
+    categoryFilter: document.getElementById('categoryFilter'),
+    manageCategoriesBtn: document.getElementById('manageCategories'),
     addButton: document.getElementById('addButton'),
+    addTorrentSection: document.getElementById('addTorrentSection'),
+    torrentFileInput: document.getElementById('torrentFileInput'),
     errorMessage: document.getElementById('errorMessage'),
     downloadsList: document.getElementById('downloadsList'),
     filesList: document.getElementById('filesList'),
     downloadCount: document.getElementById('downloadCount'),
     fileCount: document.getElementById('fileCount'),
     refreshFilesBtn: document.getElementById('refreshFiles'),
+    showIncompleteFiles: document.getElementById('showIncompleteFiles'),
+    pauseAllBtn: document.getElementById('pauseAll'),
+    resumeAllBtn: document.getElementById('resumeAll'),
+    downloadLimit: document.getElementById('downloadLimit'),
+    uploadLimit: document.getElementById('uploadLimit'),
+    diskStatus: document.getElementById('diskStatus'),
+    diskSpace: document.getElementById('diskSpace'),
+    altSpeedToggle: document.getElementById('altSpeedToggle'),
+    scheduleButton: document.getElementById('scheduleButton'),
+    scheduleMode: document.getElementById('scheduleMode'),
     toastContainer: document.getElementById('toastContainer'),
     tabs: document.querySelectorAll('.tab'),
     tabContents: document.querySelectorAll('.tab-content'),
@@ -144,6 +214,88 @@ const elements = {
     subtitleFileInput: document.getElementById('subtitleFileInput'),
     subtitleList: document.getElementById('subtitleList'),
     torrentSubtitleSelect: document.getElementById('torrentSubtitleSelect'),
+    // Create torrent elements
+    createTorrentModal: document.getElementById('createTorrentModal'),
+    createTorrentForm: document.getElementById('createTorrentForm'),
+    createTorrentPath: document.getElementById('createTorrentPath'),
+    createTorrentTrackers: document.getElementById('createTorrentTrackers'),
+    createTorrentPieceLength: document.getElementById('createTorrentPieceLength'),
+    createTorrentComment: document.getElementById('createTorrentComment'),
+    createTorrentPrivate: document.getElementById('createTorrentPrivate'),
+    createTorrentSubmit: document.getElementById('createTorrentSubmit'),
+    createTorrentResult: document.getElementById('createTorrentResult'),
+    createTorrentMagnet: document.getElementById('createTorrentMagnet'),
+    createTorrentDownload: document.getElementById('createTorrentDownload'),
+    copyMagnetButton: document.getElementById('copyMagnetButton'),
+    // Metadata preview elements
+    metadataModal: document.getElementById('metadataModal'),
+    metadataName: document.getElementById('metadataName'),
+    metadataStatus: document.getElementById('metadataStatus'),
+    metadataSelectAllLabel: document.getElementById('metadataSelectAllLabel'),
+    metadataSelectAll: document.getElementById('metadataSelectAll'),
+    metadataFiles: document.getElementById('metadataFiles'),
+    metadataConfirm: document.getElementById('metadataConfirm'),
+    // Category elements
+    categoryModal: document.getElementById('categoryModal'),
+    categoryAssignForm: document.getElementById('categoryAssignForm'),
+    categoryAssignName: document.getElementById('categoryAssignName'),
+    categoryAssignSelect: document.getElementById('categoryAssignSelect'),
+    categoryAssignSubmit: document.getElementById('categoryAssignSubmit'),
+    categoryList: document.getElementById('categoryList'),
+    categoryForm: document.getElementById('categoryForm'),
+    categoryName: document.getElementById('categoryName'),
+    categorySavePath: document.getElementById('categorySavePath'),
+    // Schedule elements
+    scheduleModal: document.getElementById('scheduleModal'),
+    scheduleStatus: document.getElementById('scheduleStatus'),
+    scheduleOverride: document.getElementById('scheduleOverride'),
+    scheduleForm: document.getElementById('scheduleForm'),
+    scheduleEnabled: document.getElementById('scheduleEnabled'),
+    scheduleGrid: document.getElementById('scheduleGrid'),
+    // Hook elements
+    hooksButton: document.getElementById('hooksButton'),
+    hooksModal: document.getElementById('hooksModal'),
+    hooksForm: document.getElementById('hooksForm'),
+    hooksCommandsDisabled: document.getElementById('hooksCommandsDisabled'),
+    hooksTimeout: document.getElementById('hooksTimeout'),
+    hooksRetries: document.getElementById('hooksRetries'),
+    // Details drawer elements
+    detailsDrawer: document.getElementById('detailsDrawer'),
+    detailsName: document.getElementById('detailsName'),
+    detailsBody: document.getElementById('detailsBody'),
+    detailsTrackers: document.getElementById('detailsTrackers'),
+    detailsTrackerForm: document.getElementById('detailsTrackerForm'),
+    detailsTrackerUrls: document.getElementById('detailsTrackerUrls'),
+    detailsReannounce: document.getElementById('detailsReannounce'),
+    // Feed elements
+    feedCount: document.getElementById('feedCount'),
+    feedForm: document.getElementById('feedForm'),
+    feedUrl: document.getElementById('feedUrl'),
+    feedName: document.getElementById('feedName'),
+    feedInterval: document.getElementById('feedInterval'),
+    feedsList: document.getElementById('feedsList'),
+    feedHistoryStatus: document.getElementById('feedHistoryStatus'),
+    feedHistoryList: document.getElementById('feedHistoryList'),
+    feedHistoryPage: document.getElementById('feedHistoryPage'),
+    feedHistoryPrev: document.getElementById('feedHistoryPrev'),
+    feedHistoryNext: document.getElementById('feedHistoryNext'),
+    feedRuleModal: document.getElementById('feedRuleModal'),
+    feedRuleForm: document.getElementById('feedRuleForm'),
+    feedRuleName: document.getElementById('feedRuleName'),
+    feedRuleInclude: document.getElementById('feedRuleInclude'),
+    feedRuleExclude: document.getElementById('feedRuleExclude'),
+    feedRuleMinSize: document.getElementById('feedRuleMinSize'),
+    feedRuleMaxSize: document.getElementById('feedRuleMaxSize'),
+    feedRuleCategory: document.getElementById('feedRuleCategory'),
+    feedRuleDedupe: document.getElementById('feedRuleDedupe'),
+    feedRuleEnabled: document.getElementById('feedRuleEnabled'),
+    // History elements
+    historyStats: document.getElementById('historyStats'),
+    historySearch: document.getElementById('historySearch'),
+    historyList: document.getElementById('historyList'),
+    historyPage: document.getElementById('historyPage'),
+    historyPrev: document.getElementById('historyPrev'),
+    historyNext: document.getElementById('historyNext'),
 };
 
 // =============================================================================
@@ -160,6 +312,21 @@ const state = {
     loadedSubtitles: [],
     allFiles: [],
     isAudioMode: false,
+    magnetPreviewTimer: null,
+    magnetPreviewRequest: 0,
+    metadataPreview: null,
+    categories: [],
+    categoryFilter: '',
+    categoryAssignId: null,
+    feeds: [],
+    feedRuleEdit: null,
+    feedHistoryOffset: 0,
+    historyOffset: 0,
+    historySearchTimer: null,
+    scheduleDraft: null,
+    detailsId: null,
+    detailsTimer: null,
+    pieceMaps: new Map(),
 };
 
 // =============================================================================
@@ -190,6 +357,50 @@ function formatSpeed(bytesPerSecond) {
     return `${formatBytes(bytesPerSecond)}/s`;
 }
 
+/**
+ * Formats a duration in seconds to a short string
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration (e.g., "2h 5m")
+ */
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+
+    if (hours > 0) {
+        return `${hours}h ${minutes}m`;
+    }
+
+    return minutes > 0 ? `${minutes}m` : `${Math.floor(seconds)}s`;
+}
+
+/**
+ * Formats a download's progress percentage to one decimal place
+ * @param {number} progress - Progress percentage with up to two decimals
+ * @returns {string} Formatted progress (e.g., "42.7%")
+ */
+function formatProgress(progress) {
+    // Rounded down like the server does, so 99.99 does not show as 100
+    return `${(Math.floor((progress || 0) * 10) / 10).toFixed(1)}%`;
+}
+
+/**
+ * Checks whether a download status means all wanted data is on disk
+ * @param {string} status - Download status
+ * @returns {boolean} True for completed and seeding downloads
+ */
+function isFinishedStatus(status) {
+    return status === 'completed' || status === 'seeding';
+}
+
+/**
+ * Formats a per-download rate limit for display after its current speed
+ * @param {number} limit - Limit in bytes per second (0 = none)
+ * @returns {string} Formatted suffix (e.g., " / 1 MB/s") or an empty string
+ */
+function formatLimitSuffix(limit) {
+    return limit ? ` / ${formatSpeed(limit)}` : '';
+}
+
 /**
  * Gets the appropriate Font Awesome icon class for a file
  * @param {string} filename - The filename
@@ -374,18 +585,73 @@ function createEmptyStateHtml(icon, title, description) {
 }
 
 /**
- * Generates HTML for a file item in a torrent
+ * Generates HTML for a file item in a torrent that is still downloading,
+ * with controls to skip the file or change its priority
  * @param {Object} file - File object
+ * @param {string} downloadId - Download ID
  * @returns {string} HTML string
  */
-function createTorrentFileHtml(file) {
-    const canStream = isStreamable(file.name);
-    const playButton = canStream
-        ? `<button class="btn btn-play btn-sm" onclick="openPlayer('${escapeHtml(file.path)}', '${escapeHtml(file.name)}', ${file.size})" title="Play">
+function createSelectableFileHtml(file, downloadId) {
+    const id = escapeHtml(downloadId);
+    const priority = file.priority || 'normal';
+    const playButton = createPlayButtonHtml(file);
+
+    return `
+        <div class="torrent-file-item ${file.selected ? '' : 'skipped'}">
+            <label class="torrent-file-info">
+                <input 
+                    type="checkbox" 
+                    class="file-select" 
+                    ${file.selected ? 'checked' : ''} 
+                    onchange="handleToggleFile('${id}', ${file.index}, this.checked)"
+                    aria-label="Download ${escapeHtml(file.name)}"
+                >
+                <i class="fas ${getFileIcon(file.name)}"></i>
+                <span class="torrent-file-name">${escapeHtml(file.name)}</span>
+            </label>
+            <span class="torrent-file-size">${file.selected ? `${file.progress || 0}% of ` : ''}${formatBytes(file.size)}</span>
+            ${playButton}
+            <button 
+                class="btn btn-secondary btn-sm icon-btn file-priority ${priority}" 
+                onclick="handleCycleFilePriority('${id}', ${file.index})" 
+                title="Priority: ${capitalize(priority)}"
+                aria-label="Change priority (currently ${priority})"
+                ${file.selected ? '' : 'disabled'}
+            >
+                <i class="fas ${FILE_PRIORITY_ICONS[priority]}"></i>
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Generates the Play button for a media file, streaming it from the torrent
+ * while it is still downloading
+ * @param {Object} file - File object
+ * @returns {string} HTML string (empty if the file cannot be played yet)
+ */
+function createPlayButtonHtml(file) {
+    const liveStreamUrl = file.downloadUrl ? null : file.streamUrl;
+
+    if (!isStreamable(file.name) || !(file.downloadUrl || liveStreamUrl)) {
+        return '';
+    }
+
+    const streamArgument = liveStreamUrl ? `, '${escapeHtml(liveStreamUrl)}'` : '';
+
+    return `<button class="btn btn-play btn-sm" onclick="openPlayer('${escapeHtml(file.path)}', '${escapeHtml(file.name)}', ${file.size}${streamArgument})" title="${liveStreamUrl ? 'Play while downloading' : 'Play'}">
                <i class="fas fa-play"></i>
                Play
-           </button>`
-        : '';
+           </button>`;
+}
+
+/**
+ * Generates HTML for a file item in a torrent
+ * @param {Object} file - File object
+ * @returns {string} HTML string
+ */
+function createTorrentFileHtml(file) {
+    const playButton = createPlayButtonHtml(file);
     
     const downloadButton = file.downloadUrl
         ? `<a href="${escapeHtml(file.downloadUrl)}" class="btn btn-success btn-sm" download>
@@ -407,6 +673,23 @@ function createTorrentFileHtml(file) {
     `;
 }
 
+/**
+ * Gets the status label for a download card
+ * @param {Object} download - Download object
+ * @returns {string} Status label
+ */
+function getStatusText(download) {
+    if (download.status === 'paused' && download.diskSpaceHold) {
+        return 'Waiting for disk space';
+    }
+
+    if (download.status === 'checking') {
+        return `Checking ${download.checkProgress || 0}%`;
+    }
+
+    return download.pausedBySchedule ? 'Paused (schedule)' : capitalize(download.status);
+}
+
 /**
  * Generates HTML for a download card
  * @param {Object} download - Download object
@@ -414,18 +697,96 @@ function createTorrentFileHtml(file) {
  */
 function createDownloadCardHtml(download) {
     const statusClass = download.status;
-    const statusText = capitalize(download.status);
-    const progressClass = download.status === 'completed' ? 'completed' : '';
-    const spinnerIcon = download.status === 'downloading' 
+    const statusText = getStatusText(download);
+    const isFinished = isFinishedStatus(download.status);
+    const progressClass = isFinished ? 'completed' : '';
+    const spinnerIcon = ['downloading', 'moving', 'checking'].includes(download.status)
         ? '<i class="fas fa-spinner fa-spin"></i>' 
         : '';
+    const isPaused = download.status === 'paused';
+    const isBusy = ['moving', 'checking'].includes(download.status);
+    const pauseButton = download.status === 'error' || isBusy
+        ? ''
+        : `<button 
+                    class="btn btn-secondary btn-sm icon-btn" 
+                    onclick="${isPaused ? 'handleResumeDownload' : 'handlePauseDownload'}('${escapeHtml(download.id)}')" 
+                    title="${isPaused ? 'Resume' : 'Pause'}"
+                    aria-label="${isPaused ? 'Resume download' : 'Pause download'}"
+                >
+                    <i class="fas ${isPaused ? 'fa-play' : 'fa-pause'}"></i>
+                </button>`;
+
+    const isQueued = download.status === 'queued' && download.queuePosition;
+    const queuePosition = isQueued
+        ? `<span class="queue-position"><i class="fas fa-list-ol"></i> #${download.queuePosition} in queue</span>`
+        : '';
+    const queueButtons = isQueued
+        ? `<button 
+                    class="btn btn-secondary btn-sm icon-btn" 
+                    onclick="handleMoveQueue('${escapeHtml(download.id)}', 'up')" 
+                    title="Move up"
+                    aria-label="Move up in queue"
+                    ${download.queuePosition === 1 ? 'disabled' : ''}
+                >
+                    <i class="fas fa-arrow-up"></i>
+                </button>
+                <button 
+                    class="btn btn-secondary btn-sm icon-btn" 
+                    onclick="handleMoveQueue('${escapeHtml(download.id)}', 'down')" 
+                    title="Move down"
+                    aria-label="Move down in queue"
+                >
+                    <i class="fas fa-arrow-down"></i>
+                </button>`
+        : '';
+
+    const isSelectable = ['downloading', 'paused', 'queued'].includes(download.status);
+    let filesSection = '';
+
+    const shareStats = `<span title="Uploaded"><i class="fas fa-cloud-upload-alt"></i> ${formatBytes(download.uploaded || 0)}</span>
+                    <span title="Share ratio"><i class="fas fa-balance-scale"></i> ${(download.ratio || 0).toFixed(2)}</span>`;
+    const seedingStats = isFinished
+        ? `<span title="Seeding time"><i class="fas fa-clock"></i> ${formatDuration(download.seedingTime || 0)}</span>`
+        : '';
+    const timeRemaining = typeof download.timeRemaining === 'number'
+        ? `<span title="Time remaining at ${formatSpeed(download.averageDownloadSpeed)} on average"><i class="fas fa-hourglass-half"></i> ${formatDuration(download.timeRemaining)} left</span>`
+        : '';
+    const dates = [
+        download.addedAt ? `Added ${new Date(download.addedAt).toLocaleString()}` : null,
+        download.completedAt ? `Completed ${new Date(download.completedAt).toLocaleString()}` : null,
+    ].filter(Boolean).join(' · ');
+
+    const { verifyResult } = download;
+    const verifyStats = verifyResult
+        ? `<span title="Last verified ${escapeHtml(new Date(verifyResult.checkedAt).toLocaleString())}"><i class="fas fa-check-double"></i> ${verifyResult.valid}/${verifyResult.total} pieces valid${verifyResult.corrupt ? `, ${verifyResult.corrupt} corrupt` : ''}</span>`
+        : '';
 
-    const filesSection = download.status === 'completed' && download.files?.length > 0
-        ? `<div class="torrent-files">
+    const hookResult = download.lastHookResult;
+    const hookWarning = hookResult && !hookResult.ok
+        ? `<span class="hook-failed" title="${escapeHtml(`${hookResult.event} ${hookResult.type}: ${hookResult.error}`)}"><i class="fas fa-plug-circle-exclamation"></i> Hook failed</span>`
+        : '';
+
+    const errorLine = download.status === 'error' && download.error
+        ? `<div class="download-error"><i class="fas fa-exclamation-circle"></i> ${escapeHtml(download.error)}</div>`
+        : '';
+
+    if (download.files?.length > 0 && isFinished) {
+        filesSection = `<div class="torrent-files">
                <div class="torrent-files-title">Files (${download.files.length})</div>
                ${download.files.map(createTorrentFileHtml).join('')}
-           </div>`
-        : '';
+           </div>`;
+    } else if (download.files?.length === 1) {
+        filesSection = `<div class="torrent-files">
+               <div class="torrent-files-title">Files (1)</div>
+               ${createTorrentFileHtml(download.files[0])}
+           </div>`;
+    } else if (download.files?.length > 1 && isSelectable) {
+        const selectedCount = download.files.filter((file) => file.selected).length;
+        filesSection = `<div class="torrent-files">
+               <div class="torrent-files-title">Files (${selectedCount} of ${download.files.length} selected)</div>
+               ${download.files.map((file) => createSelectableFileHtml(file, download.id)).join('')}
+           </div>`;
+    }
 
     return `
         <div class="download-header">
@@ -433,9 +794,16 @@ function createDownloadCardHtml(download) {
                 <div class="download-name">${escapeHtml(download.name)}</div>
                 <div class="download-meta">
                     <span><i class="fas fa-hdd"></i> ${formatBytes(download.size || 0)}</span>
-                    <span><i class="fas fa-download"></i> ${formatSpeed(download.downloadSpeed || 0)}</span>
-                    <span><i class="fas fa-upload"></i> ${formatSpeed(download.uploadSpeed || 0)}</span>
+                    <span><i class="fas fa-download"></i> ${formatSpeed(download.downloadSpeed || 0)}${formatLimitSuffix(download.downloadLimit)}</span>
+                    <span><i class="fas fa-upload"></i> ${formatSpeed(download.uploadSpeed || 0)}${formatLimitSuffix(download.uploadLimit)}</span>
                     <span><i class="fas fa-users"></i> ${download.peers || 0} peers</span>
+                    ${download.category ? `<span class="category-chip" title="Category"><i class="fas fa-tag"></i> ${escapeHtml(download.category)}</span>` : ''}
+                    ${queuePosition}
+                    ${timeRemaining}
+                    ${shareStats}
+                    ${seedingStats}
+                    ${verifyStats}
+                    ${hookWarning}
                 </div>
             </div>
             <div class="download-actions">
@@ -443,6 +811,34 @@ function createDownloadCardHtml(download) {
                     ${spinnerIcon}
                     ${statusText}
                 </span>
+                ${queueButtons}
+                ${pauseButton}
+                <button 
+                    class="btn btn-secondary btn-sm icon-btn" 
+                    onclick="handleShowDetails('${escapeHtml(download.id)}')" 
+                    title="Details"
+                    aria-label="Show peers, trackers and pieces"
+                >
+                    <i class="fas fa-info-circle"></i>
+                </button>
+                <button 
+                    class="btn btn-secondary btn-sm icon-btn" 
+                    onclick="handleVerifyDownload('${escapeHtml(download.id)}')" 
+                    title="Verify data"
+                    aria-label="Verify downloaded data"
+                    ${download.status === 'error' || isBusy ? 'disabled' : ''}
+                >
+                    <i class="fas fa-check-double"></i>
+                </button>
+                <button 
+                    class="btn btn-secondary btn-sm icon-btn" 
+                    onclick="handleChangeCategory('${escapeHtml(download.id)}')" 
+                    title="Change category"
+                    aria-label="Change category"
+                    ${isBusy ? 'disabled' : ''}
+                >
+                    <i class="fas fa-tag"></i>
+                </button>
                 <button 
                     class="btn btn-danger btn-sm icon-btn" 
                     onclick="handleRemoveDownload('${escapeHtml(download.id)}')" 
@@ -457,11 +853,14 @@ function createDownloadCardHtml(download) {
             <div class="progress-bar">
                 <div class="progress-fill ${progressClass}" style="width: ${download.progress}%"></div>
             </div>
+            <canvas id="piece-map-${escapeHtml(download.id)}" class="piece-map" role="img" hidden></canvas>
             <div class="progress-text">
-                <span>${download.progress}%</span>
+                <span>${formatProgress(download.progress)}</span>
+                <span class="download-dates">${escapeHtml(dates)}</span>
                 <span>${formatBytes(download.downloaded || 0)} / ${formatBytes(download.size || 0)}</span>
             </div>
         </div>
+        ${errorLine}
         ${filesSection}
     `;
 }
@@ -476,11 +875,13 @@ function renderDownload(download) {
     
     if (existingCard) {
         existingCard.innerHTML = html;
+        existingCard.hidden = !matchesCategoryFilter(download);
     } else {
         const card = document.createElement('div');
         card.className = 'download-card';
         card.id = `download-${download.id}`;
         card.innerHTML = html;
+        card.hidden = !matchesCategoryFilter(download);
         
         // Remove empty state if exists
         const emptyState = elements.downloadsList.querySelector('.empty-state');
@@ -490,7 +891,8 @@ function renderDownload(download) {
         
         elements.downloadsList.appendChild(card);
     }
-    
+
+    drawPieceMap(download.id);
     updateDownloadCount();
 }
 
@@ -505,7 +907,7 @@ function renderDownloads(downloadList) {
         elements.downloadsList.innerHTML = createEmptyStateHtml(
             'fa-cloud-download-alt',
             'No active downloads',
-            'Paste a magnet link above to start downloading'
+            'Paste a magnet link or drop a .torrent file above to start downloading'
         );
     } else {
         downloadList.forEach((download) => {
@@ -547,6 +949,7 @@ function renderFiles(files) {
                     <div class="file-size">
                         ${formatBytes(file.size)}
                         ${mediaType ? `<span class="file-type">${mediaType.toUpperCase()}</span>` : ''}
+                        ${file.incomplete ? '<span class="file-type incomplete">INCOMPLETE</span>' : ''}
                     </div>
                 </div>
                 <div class="file-actions">
@@ -560,6 +963,9 @@ function renderFiles(files) {
                         <i class="fas fa-download"></i>
                         Download
                     </a>
+                    <button class="btn btn-secondary btn-sm icon-btn" onclick="openCreateTorrentModal('${escapeHtml(file.path)}')" title="Create torrent" aria-label="Create a torrent to share this file">
+                        <i class="fas fa-share-alt"></i>
+                    </button>
                 </div>
             `;
             elements.filesList.appendChild(item);
@@ -590,10 +996,13 @@ function updateDownloadCount() {
  * @throws {Error} If request fails
  */
 async function apiRequest(url, options = {}) {
+    // Let the browser set the multipart boundary for FormData bodies
+    const headers = options.body instanceof FormData
+        ? {}
+        : { 'Content-Type': 'application/json' };
+
     const response = await fetch(url, {
-        headers: {
-            'Content-Type': 'application/json',
-        },
+        headers,
         ...options,
     });
     
@@ -607,7 +1016,7 @@ async function apiRequest(url, options = {}) {
 }
 
 /**
- * Adds a new torrent download
+ * Previews the contents of a magnet link before adding it
  */
 async function addTorrent() {
     const magnetLink = elements.magnetInput.value.trim();
@@ -618,8 +1027,8 @@ async function addTorrent() {
         return;
     }
     
-    if (!magnetLink.startsWith('magnet:')) {
-        showError('Invalid magnet link. Must start with "magnet:"');
+    if (!magnetLink.startsWith('magnet:?')) {
+        showError('Invalid magnet link. Must start with "magnet:?"');
         return;
     }
     
@@ -627,21 +1036,176 @@ async function addTorrent() {
     setAddButtonLoading(true);
     
     try {
-        await apiRequest(APP_CONFIG.API_ENDPOINTS.DOWNLOAD, {
+        // The download only starts once its contents are confirmed in the preview dialog
+        const result = await apiRequest(APP_CONFIG.API_ENDPOINTS.METADATA, {
             method: 'POST',
             body: JSON.stringify({ magnetLink }),
         });
         
         elements.magnetInput.value = '';
-        showToast('Torrent added successfully!', 'success');
+        hideMagnetPreview();
+
+        if (result.alreadyExists) {
+            showExistingDownload(result);
+        } else {
+            openMetadataModal(result);
+        }
+    } catch (error) {
+        showError(error.message);
+        showToast(error.message, 'error');
+    } finally {
+        setAddButtonLoading(false);
+    }
+}
+
+/**
+ * Previews the magnet link in the add box shortly after typing stops
+ */
+function scheduleMagnetPreview() {
+    clearTimeout(state.magnetPreviewTimer);
+    state.magnetPreviewTimer = setTimeout(previewMagnetLink, APP_CONFIG.MAGNET_PREVIEW_DELAY);
+}
+
+/**
+ * Decodes the magnet link in the add box and shows its name and trackers
+ */
+async function previewMagnetLink() {
+    const magnetLink = elements.magnetInput.value.trim();
+    // Responses for older input are dropped so a slow reply can't overwrite a newer one
+    const requestId = ++state.magnetPreviewRequest;
+
+    if (!magnetLink.startsWith('magnet:')) {
+        hideMagnetPreview();
+        return;
+    }
+
+    try {
+        const magnet = await apiRequest(APP_CONFIG.API_ENDPOINTS.MAGNET_PARSE, {
+            method: 'POST',
+            body: JSON.stringify({ magnetLink }),
+        });
+
+        if (requestId === state.magnetPreviewRequest) {
+            renderMagnetPreview(magnet);
+        }
+    } catch (error) {
+        if (requestId === state.magnetPreviewRequest) {
+            elements.magnetPreview.className = 'magnet-preview invalid';
+            elements.magnetPreview.innerHTML = `
+                <span><i class="fas fa-exclamation-circle" aria-hidden="true"></i> ${escapeHtml(error.message)}</span>
+            `;
+            elements.magnetPreview.hidden = false;
+        }
+    }
+}
+
+/**
+ * Renders a decoded magnet link below the add box
+ * @param {Object} magnet - Response of the magnet parse endpoint
+ */
+function renderMagnetPreview(magnet) {
+    const trackers = magnet.announce.length;
+    const webSeeds = magnet.urlList.length;
+
+    elements.magnetPreview.className = 'magnet-preview';
+    elements.magnetPreview.innerHTML = `
+        <span class="magnet-preview-name" title="${escapeHtml(magnet.name || magnet.infoHash)}">
+            <i class="fas fa-magnet" aria-hidden="true"></i>
+            ${escapeHtml(magnet.name || 'Unnamed torrent')}
+        </span>
+        <span title="Info hash"><i class="fas fa-fingerprint" aria-hidden="true"></i> ${magnet.infoHash.slice(0, 12)}…</span>
+        <span><i class="fas fa-broadcast-tower" aria-hidden="true"></i> ${trackers} tracker${trackers === 1 ? '' : 's'}</span>
+        ${webSeeds ? `<span><i class="fas fa-globe" aria-hidden="true"></i> ${webSeeds} web seed${webSeeds === 1 ? '' : 's'}</span>` : ''}
+        ${magnet.length !== null ? `<span><i class="fas fa-hdd" aria-hidden="true"></i> ${formatBytes(magnet.length)}</span>` : ''}
+        ${magnet.select ? `<span><i class="fas fa-check-square" aria-hidden="true"></i> ${magnet.select.length} file${magnet.select.length === 1 ? '' : 's'} selected</span>` : ''}
+        ${magnet.existingId ? '<span><i class="fas fa-info-circle" aria-hidden="true"></i> Already added</span>' : ''}
+    `;
+    elements.magnetPreview.hidden = false;
+}
+
+/**
+ * Hides the magnet link preview
+ */
+function hideMagnetPreview() {
+    clearTimeout(state.magnetPreviewTimer);
+    state.magnetPreviewRequest++;
+    elements.magnetPreview.hidden = true;
+}
+
+/**
+ * Uploads a .torrent file and starts downloading it
+ * @param {File} file - The .torrent file
+ */
+async function uploadTorrentFile(file) {
+    if (!file.name.toLowerCase().endsWith('.torrent')) {
+        showError('Invalid file. Please choose a .torrent file');
+        return;
+    }
+
+    setAddButtonLoading(true);
+
+    try {
+        const formData = new FormData();
+        formData.append('torrent', file);
+
+        if (elements.categorySelect.value) {
+            formData.append('category', elements.categorySelect.value);
+        }
+
+        const result = await apiRequest(APP_CONFIG.API_ENDPOINTS.TORRENT_UPLOAD, {
+            method: 'POST',
+            body: formData,
+        });
+
+        if (result.alreadyExists) {
+            showExistingDownload(result);
+        } else {
+            showToast(`Torrent "${file.name}" added successfully!`, 'success');
+        }
     } catch (error) {
         showError(error.message);
         showToast(error.message, 'error');
     } finally {
         setAddButtonLoading(false);
+        elements.torrentFileInput.value = '';
     }
 }
 
+/**
+ * Initializes the .torrent file picker and drop target
+ */
+function initTorrentFileDrop() {
+    const dropZone = elements.addTorrentSection;
+
+    elements.torrentFileInput.addEventListener('change', (e) => {
+        const files = e.target.files;
+        if (files.length > 0) {
+            uploadTorrentFile(files[0]);
+        }
+    });
+
+    ['dragenter', 'dragover'].forEach(eventName => {
+        dropZone.addEventListener(eventName, (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+    });
+
+    ['dragleave', 'drop'].forEach(eventName => {
+        dropZone.addEventListener(eventName, (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+        });
+    });
+
+    dropZone.addEventListener('drop', (e) => {
+        const files = e.dataTransfer.files;
+        if (files.length > 0) {
+            uploadTorrentFile(files[0]);
+        }
+    });
+}
+
 /**
  * Removes a download
  * @param {string} id - Download ID
@@ -652,27 +1216,7 @@ async function removeDownload(id) {
             method: 'DELETE',
         });
         
-        state.downloads.delete(id);
-        
-        const card = document.getElementById(`download-${id}`);
-        if (card) {
-            card.style.animation = 'slideIn 0.3s ease reverse';
-            
-            setTimeout(() => {
-                card.remove();
-                
-                if (elements.downloadsList.children.length === 0) {
-                    elements.downloadsList.innerHTML = createEmptyStateHtml(
-                        'fa-cloud-download-alt',
-                        'No active downloads',
-                        'Paste a magnet link above to start downloading'
-                    );
-                }
-                
-                updateDownloadCount();
-            }, APP_CONFIG.ANIMATION_DURATION);
-        }
-        
+        removeDownloadCard(id);
         showToast('Download removed', 'success');
         loadFiles();
     } catch (error) {
@@ -681,60 +1225,228 @@ async function removeDownload(id) {
 }
 
 /**
- * Loads and displays files
+ * Animates a download card out of the list and forgets the download
+ * @param {string} id - Download ID
  */
-async function loadFiles() {
+function removeDownloadCard(id) {
+    state.downloads.delete(id);
+
+    const card = document.getElementById(`download-${id}`);
+    if (!card || card.classList.contains('removing')) {
+        return;
+    }
+
+    card.classList.add('removing');
+    card.style.animation = 'slideIn 0.3s ease reverse';
+
+    setTimeout(() => {
+        card.remove();
+
+        if (elements.downloadsList.children.length === 0) {
+            elements.downloadsList.innerHTML = createEmptyStateHtml(
+                'fa-cloud-download-alt',
+                'No active downloads',
+                'Paste a magnet link or drop a .torrent file above to start downloading',
+            );
+        }
+
+        updateDownloadCount();
+    }, APP_CONFIG.ANIMATION_DURATION);
+}
+
+/**
+ * Pauses or resumes a download
+ * @param {string} id - Download ID
+ * @param {string} action - Either 'pause' or 'resume'
+ */
+async function setDownloadPaused(id, action) {
     try {
-        const files = await apiRequest(APP_CONFIG.API_ENDPOINTS.FILES);
-        state.allFiles = files; // Store for subtitle selection
-        renderFiles(files);
+        await apiRequest(`${APP_CONFIG.API_ENDPOINTS.DOWNLOAD}/${id}/${action}`, {
+            method: 'POST',
+        });
     } catch (error) {
-        console.error('Failed to load files:', error);
-        showToast('Failed to load files', 'error');
+        showToast(error.message, 'error');
     }
 }
 
 /**
- * Loads and displays downloads
+ * Starts re-hashing a download's data; progress arrives through download updates
+ * @param {string} id - Download ID
  */
-async function loadDownloads() {
+async function verifyDownload(id) {
     try {
-        const downloadList = await apiRequest(APP_CONFIG.API_ENDPOINTS.DOWNLOADS);
-        renderDownloads(downloadList);
+        const result = await apiRequest(`${APP_CONFIG.API_ENDPOINTS.DOWNLOAD}/${id}/verify`, {
+            method: 'POST',
+        });
+
+        showToast(result.message, 'info');
     } catch (error) {
-        console.error('Failed to load downloads:', error);
-        showToast('Failed to load downloads', 'error');
+        showToast(error.message, 'error');
     }
 }
 
-// =============================================================================
-// UI HELPER FUNCTIONS
-// =============================================================================
-
 /**
- * Sets the add button loading state
- * @param {boolean} isLoading - Whether button should show loading state
+ * Toggles alternative speed limits on the server
  */
-function setAddButtonLoading(isLoading) {
-    elements.addButton.disabled = isLoading;
-    elements.addButton.innerHTML = isLoading
-        ? '<div class="spinner"></div><span>Adding...</span>'
-        : '<i class="fas fa-download"></i><span>Add Torrent</span>';
+async function toggleAltSpeed() {
+    try {
+        const status = await apiRequest(APP_CONFIG.API_ENDPOINTS.ALT_SPEED, {
+            method: 'POST',
+        });
+
+        renderBandwidthStatus(status);
+        showToast(`Alternative speed ${status.altSpeedEnabled ? 'enabled' : 'disabled'}`, 'info');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
 }
 
 /**
- * Sets the refresh button loading state
- * @param {boolean} isLoading - Whether button should show loading state
+ * Moves a queued download within the queue
+ * @param {string} id - Download ID
+ * @param {string} direction - One of up, down, top, bottom
  */
-function setRefreshButtonLoading(isLoading) {
-    elements.refreshFilesBtn.disabled = isLoading;
-    elements.refreshFilesBtn.innerHTML = isLoading
-        ? '<div class="spinner"></div> Refreshing...'
-        : '<i class="fas fa-sync-alt"></i> Refresh';
+async function moveQueuedDownload(id, direction) {
+    try {
+        await apiRequest(`${APP_CONFIG.API_ENDPOINTS.DOWNLOAD}/${id}/queue/${direction}`, {
+            method: 'POST',
+        });
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
 }
 
 /**
- * Switches to a tab
+ * Updates the wanted/priority settings of a file in a download
+ * @param {string} id - Download ID
+ * @param {Object} change - File change ({ index, selected?, priority? })
+ */
+async function updateFileSelection(id, change) {
+    try {
+        const download = await apiRequest(`${APP_CONFIG.API_ENDPOINTS.DOWNLOAD}/${id}/files`, {
+            method: 'PUT',
+            body: JSON.stringify({ files: [change] }),
+        });
+
+        state.downloads.set(download.id, download);
+        renderDownload(download);
+    } catch (error) {
+        showToast(error.message, 'error');
+
+        // Re-render to undo the optimistic checkbox change
+        const download = state.downloads.get(id);
+        if (download) {
+            renderDownload(download);
+        }
+    }
+}
+
+/**
+ * Pauses or resumes all downloads
+ * @param {string} action - Either 'pause' or 'resume'
+ */
+async function setAllDownloadsPaused(action) {
+    try {
+        const result = await apiRequest(`${APP_CONFIG.API_ENDPOINTS.DOWNLOADS}/${action}`, {
+            method: 'POST',
+        });
+
+        showToast(result.message, 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Loads and displays files
+ */
+async function loadFiles() {
+    try {
+        const params = new URLSearchParams();
+
+        if (state.categoryFilter) {
+            params.set('category', state.categoryFilter);
+        }
+
+        // Partial data of active downloads is hidden unless asked for
+        if (elements.showIncompleteFiles.checked) {
+            params.set('incomplete', 'true');
+        }
+
+        const query = params.toString();
+        const files = await apiRequest(`${APP_CONFIG.API_ENDPOINTS.FILES}${query ? `?${query}` : ''}`);
+        state.allFiles = files; // Store for subtitle selection
+        renderFiles(files);
+    } catch (error) {
+        console.error('Failed to load files:', error);
+        showToast('Failed to load files', 'error');
+    }
+}
+
+/**
+ * Loads and displays downloads
+ */
+async function loadDownloads() {
+    try {
+        const downloadList = await apiRequest(APP_CONFIG.API_ENDPOINTS.DOWNLOADS);
+        renderDownloads(downloadList);
+    } catch (error) {
+        console.error('Failed to load downloads:', error);
+        showToast('Failed to load downloads', 'error');
+    }
+}
+
+// =============================================================================
+// UI HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Shows the global bandwidth limits in the header
+ * @param {Object} status - Bandwidth status from the server
+ */
+function renderBandwidthStatus(status) {
+    elements.downloadLimit.textContent = status.downloadLimit ? formatSpeed(status.downloadLimit) : 'Unlimited';
+    elements.uploadLimit.textContent = status.uploadLimit ? formatSpeed(status.uploadLimit) : 'Unlimited';
+    elements.altSpeedToggle.classList.toggle('active', status.altSpeedEnabled);
+    elements.altSpeedToggle.setAttribute('aria-pressed', String(status.altSpeedEnabled));
+}
+
+/**
+ * Shows free space on the downloads volume in the header
+ * @param {Object|null} disk - Disk space from the server, null if unknown
+ */
+function renderDiskSpace(disk) {
+    elements.diskSpace.textContent = disk ? `${formatBytes(disk.free)} free of ${formatBytes(disk.total)}` : 'Unknown';
+    elements.diskStatus.classList.toggle('low', Boolean(disk?.low));
+    elements.diskStatus.title = disk
+        ? `Disk space: ${formatBytes(disk.used)} used, ${formatBytes(disk.reserve)} kept free`
+        : 'Disk space';
+}
+
+/**
+ * Sets the add button loading state
+ * @param {boolean} isLoading - Whether button should show loading state
+ */
+function setAddButtonLoading(isLoading) {
+    elements.addButton.disabled = isLoading;
+    elements.addButton.innerHTML = isLoading
+        ? '<div class="spinner"></div><span>Adding...</span>'
+        : '<i class="fas fa-download"></i><span>Add Torrent</span>';
+}
+
+/**
+ * Sets the refresh button loading state
+ * @param {boolean} isLoading - Whether button should show loading state
+ */
+function setRefreshButtonLoading(isLoading) {
+    elements.refreshFilesBtn.disabled = isLoading;
+    elements.refreshFilesBtn.innerHTML = isLoading
+        ? '<div class="spinner"></div> Refreshing...'
+        : '<i class="fas fa-sync-alt"></i> Refresh';
+}
+
+/**
+ * Switches to a tab
  * @param {string} tabName - Tab name to switch to
  */
 function switchTab(tabName) {
@@ -750,7 +1462,36 @@ function switchTab(tabName) {
     // Load files when switching to files tab
     if (tabName === 'files') {
         loadFiles();
+    } else if (tabName === 'feeds') {
+        loadFeedHistory();
+    } else if (tabName === 'history') {
+        loadHistory();
+    } else if (tabName === 'downloads') {
+        drawAllPieceMaps();
+    }
+}
+
+/**
+ * Points the user at a download that already exists instead of adding it again
+ * @param {Object} result - Add response ({ id, message })
+ */
+function showExistingDownload(result) {
+    showToast(result.message, 'info');
+    switchTab('downloads');
+
+    const card = document.getElementById(`download-${result.id}`);
+    if (!card) {
+        return;
     }
+
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    // Restart the animation if the card is still highlighted from a previous add
+    card.classList.remove('highlight');
+    void card.offsetWidth;
+    card.classList.add('highlight');
+
+    setTimeout(() => card.classList.remove('highlight'), APP_CONFIG.HIGHLIGHT_DURATION);
 }
 
 // =============================================================================
@@ -765,6 +1506,82 @@ window.handleRemoveDownload = function(id) {
     removeDownload(id);
 };
 
+/**
+ * Global handler for file checkbox changes
+ * @param {string} id - Download ID
+ * @param {number} index - File index
+ * @param {boolean} selected - Whether the file should be downloaded
+ */
+window.handleToggleFile = function(id, index, selected) {
+    updateFileSelection(id, { index, selected });
+};
+
+/**
+ * Global handler for file priority button clicks
+ * @param {string} id - Download ID
+ * @param {number} index - File index
+ */
+window.handleCycleFilePriority = function(id, index) {
+    const file = state.downloads.get(id)?.files?.[index];
+
+    if (!file) {
+        return;
+    }
+
+    const current = FILE_PRIORITY_ORDER.indexOf(file.priority || 'normal');
+    const priority = FILE_PRIORITY_ORDER[(current + 1) % FILE_PRIORITY_ORDER.length];
+    updateFileSelection(id, { index, priority });
+};
+
+/**
+ * Global handler for pause download button clicks
+ * @param {string} id - Download ID
+ */
+window.handlePauseDownload = function(id) {
+    setDownloadPaused(id, 'pause');
+};
+
+/**
+ * Global handler for resume download button clicks
+ * @param {string} id - Download ID
+ */
+window.handleResumeDownload = function(id) {
+    setDownloadPaused(id, 'resume');
+};
+
+/**
+ * Global handler for verify button clicks
+ * @param {string} id - Download ID
+ */
+window.handleVerifyDownload = function(id) {
+    verifyDownload(id);
+};
+
+/**
+ * Global handler for details button clicks
+ * @param {string} id - Download ID
+ */
+window.handleShowDetails = function(id) {
+    openDetailsDrawer(id);
+};
+
+/**
+ * Global handler for queue move button clicks
+ * @param {string} id - Download ID
+ * @param {string} direction - Either 'up' or 'down'
+ */
+window.handleMoveQueue = function(id, direction) {
+    moveQueuedDownload(id, direction);
+};
+
+/**
+ * Global handler for change category button clicks
+ * @param {string} id - Download ID
+ */
+window.handleChangeCategory = function(id) {
+    openCategoryModal(id);
+};
+
 /**
  * Initializes event listeners
  */
@@ -779,6 +1596,12 @@ function initializeEventListeners() {
         }
     });
     
+    // Preview magnet links as they are pasted or typed
+    elements.magnetInput.addEventListener('input', scheduleMagnetPreview);
+
+    // .torrent file picker and drag & drop
+    initTorrentFileDrop();
+
     // Refresh files button
     elements.refreshFilesBtn.addEventListener('click', async () => {
         setRefreshButtonLoading(true);
@@ -790,12 +1613,54 @@ function initializeEventListeners() {
         }
     });
     
+    elements.showIncompleteFiles.addEventListener('change', loadFiles);
+
+    // Pause/resume all buttons
+    elements.pauseAllBtn.addEventListener('click', () => setAllDownloadsPaused('pause'));
+    elements.resumeAllBtn.addEventListener('click', () => setAllDownloadsPaused('resume'));
+
+    // Create torrent form
+    initCreateTorrentForm();
+
+    // Categories
+    initCategoryControls();
+
+    // RSS feeds
+    initFeedControls();
+
+    // Download history
+    initHistoryControls();
+
+    // Speed schedule
+    initScheduleControls();
+    elements.hooksButton.addEventListener('click', openHooksModal);
+    elements.hooksForm.addEventListener('submit', saveHooks);
+
+    // Download details drawer
+    initDetailsControls();
+
+    // Metadata preview dialog
+    elements.metadataConfirm.addEventListener('click', confirmMetadataPreview);
+    elements.metadataSelectAll.addEventListener('change', () => {
+        elements.metadataFiles.querySelectorAll('input[type="checkbox"]').forEach((checkbox) => {
+            checkbox.checked = elements.metadataSelectAll.checked;
+        });
+        updateMetadataSelection();
+    });
+    elements.metadataFiles.addEventListener('change', updateMetadataSelection);
+
+    // Alternative speed toggle
+    elements.altSpeedToggle.addEventListener('click', toggleAltSpeed);
+
     // Tab switching
     elements.tabs.forEach((tab) => {
         tab.addEventListener('click', () => {
             switchTab(tab.dataset.tab);
         });
     });
+
+    // Piece maps are drawn at the width of their card
+    window.addEventListener('resize', drawAllPieceMaps);
 }
 
 // =============================================================================
@@ -817,17 +1682,74 @@ function initializeSocket() {
     });
     
     state.socket.on('download-update', (download) => {
+        const previousStatus = state.downloads.get(download.id)?.status;
+
         state.downloads.set(download.id, download);
         renderDownload(download);
         
-        // Show notifications for status changes
-        if (download.status === 'completed') {
+        // Show notifications for status changes (seeding updates arrive every second)
+        if (previousStatus === 'checking' && download.status !== 'checking' && download.verifyResult) {
+            const { valid, total } = download.verifyResult;
+            showToast(`Verified ${download.name}: ${valid} of ${total} pieces valid`, valid === total ? 'success' : 'info');
+        } else if (isFinishedStatus(download.status) && !isFinishedStatus(previousStatus)) {
             showToast(`Download completed: ${download.name}`, 'success');
-        } else if (download.status === 'error') {
+        } else if (download.status === 'error' && previousStatus !== 'error') {
             showToast(`Download failed: ${download.name}`, 'error');
         }
     });
+
+    state.socket.on('download-removed', ({ id }) => {
+        removeDownloadCard(id);
+        state.pieceMaps.delete(id);
+
+        if (state.detailsId === id) {
+            closeDetailsDrawer();
+        }
+
+        if (document.getElementById('historyTab').classList.contains('active')) {
+            loadHistory();
+        }
+    });
     
+    state.socket.on('piece-map-update', applyPieceMapUpdate);
+
+    state.socket.on('bandwidth-update', renderBandwidthStatus);
+
+    state.socket.on('disk-update', renderDiskSpace);
+
+    state.socket.on('categories-update', renderCategories);
+
+    state.socket.on('schedule-update', renderScheduleStatus);
+
+    state.socket.on('feeds-update', (feeds) => {
+        renderFeeds(feeds);
+
+        // Newer entries shift the pages, so only the first page follows along live
+        if (state.feedHistoryOffset === 0 && document.getElementById('feedsTab').classList.contains('active')) {
+            loadFeedHistory();
+        }
+    });
+
+    state.socket.on('watch-folder-result', (result) => {
+        if (result.status === 'failed') {
+            showToast(`Watch folder: could not add ${result.file}: ${result.error}`, 'error');
+        } else {
+            showToast(`Watch folder: added ${result.file}`, 'info');
+        }
+    });
+
+    state.socket.on('metadata-update', (preview) => {
+        if (preview.id === state.metadataPreview?.id) {
+            renderMetadataPreview(preview);
+        }
+    });
+
+    state.socket.on('metadata-removed', ({ id }) => {
+        if (id === state.metadataPreview?.id) {
+            closeMetadataModal();
+        }
+    });
+
     state.socket.on('disconnect', () => {
         console.log('Disconnected from server');
     });
@@ -868,6 +1790,20 @@ function initializePlayer() {
         if (e.key === 'Escape') {
             if (elements.subtitleModal && elements.subtitleModal.classList.contains('active')) {
                 closeSubtitleModal();
+            } else if (elements.createTorrentModal.classList.contains('active')) {
+                closeCreateTorrentModal();
+            } else if (elements.metadataModal.classList.contains('active')) {
+                discardMetadataPreview();
+            } else if (elements.categoryModal.classList.contains('active')) {
+                closeCategoryModal();
+            } else if (elements.feedRuleModal.classList.contains('active')) {
+                closeFeedRuleModal();
+            } else if (elements.scheduleModal.classList.contains('active')) {
+                closeScheduleModal();
+            } else if (elements.hooksModal.classList.contains('active')) {
+                closeHooksModal();
+            } else if (elements.detailsDrawer.classList.contains('active')) {
+                closeDetailsDrawer();
             } else if (elements.playerModal.classList.contains('active')) {
                 closePlayer();
             }
@@ -883,8 +1819,9 @@ function initializePlayer() {
  * @param {string} filePath - Path to the file
  * @param {string} fileName - Name of the file
  * @param {number} fileSize - Size of the file in bytes
+ * @param {string} [liveStreamUrl] - Torrent stream URL for a file that is still downloading
  */
-async function openPlayer(filePath, fileName, fileSize) {
+async function openPlayer(filePath, fileName, fileSize, liveStreamUrl = null) {
     const ext = getFileExtension(fileName).toUpperCase();
     const audioMode = isAudio(fileName);
     
@@ -894,7 +1831,11 @@ async function openPlayer(filePath, fileName, fileSize) {
     let mediaUrl;
     let formatNote = '';
     
-    if (needsTranscoding(fileName)) {
+    if (liveStreamUrl) {
+        // Incomplete files are played straight from the torrent (transcoding needs the whole file)
+        mediaUrl = liveStreamUrl;
+        formatNote = ' (Streaming)';
+    } else if (needsTranscoding(fileName)) {
         // Check if FFmpeg is available for transcoding
         try {
             const response = await fetch('/api/ffmpeg-status');
@@ -919,13 +1860,13 @@ async function openPlayer(filePath, fileName, fileSize) {
     elements.playerFileName.textContent = fileName;
     elements.playerFileSize.textContent = formatBytes(fileSize);
     elements.playerFormat.textContent = ext + formatNote;
-    elements.playerDownloadBtn.href = `/files/${encodeURIComponent(filePath)}`;
+    elements.playerDownloadBtn.href = liveStreamUrl || `/files/${encodeURIComponent(filePath)}`;
     
     // Clear any existing subtitles
     clearSubtitles();
     
     // Store current file and mode
-    state.currentlyPlaying = { path: filePath, name: fileName, size: fileSize };
+    state.currentlyPlaying = { path: filePath, name: fileName, size: fileSize, liveStreamUrl };
     state.transcodingAttempted = false;
     state.loadedSubtitles = [];
     state.isAudioMode = audioMode;
@@ -1087,6 +2028,11 @@ function initPlyr(audioMode = false) {
         const error = mediaElement.error;
         
         if (error && error.code === MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED) {
+            if (state.currentlyPlaying?.liveStreamUrl) {
+                showToast('This format cannot be played until the download completes', 'error');
+                return;
+            }
+
             if (state.currentlyPlaying && !state.transcodingAttempted) {
                 state.transcodingAttempted = true;
                 const { path: filePath, name: fileName } = state.currentlyPlaying;
@@ -1557,6 +2503,1604 @@ async function loadSelectedSubtitle() {
     }
 }
 
+// =============================================================================
+// TORRENT CREATION FUNCTIONS
+// =============================================================================
+
+/**
+ * Fills the piece size options and wires up the create torrent form
+ */
+function initCreateTorrentForm() {
+    PIECE_LENGTH_OPTIONS.forEach((pieceLength) => {
+        const option = document.createElement('option');
+        option.value = pieceLength;
+        option.textContent = formatBytes(pieceLength);
+        elements.createTorrentPieceLength.appendChild(option);
+    });
+
+    elements.createTorrentForm.addEventListener('submit', createTorrentFromForm);
+
+    elements.copyMagnetButton.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(elements.createTorrentMagnet.value);
+            showToast('Magnet link copied', 'success');
+        } catch {
+            elements.createTorrentMagnet.select();
+            showToast('Press Ctrl+C to copy the magnet link', 'info');
+        }
+    });
+}
+
+/**
+ * Opens the create torrent dialog for a file, offering the file and each of its folders
+ * @param {string} filePath - File path relative to the downloads directory
+ */
+function openCreateTorrentModal(filePath) {
+    const segments = filePath.split(/[\\/]/);
+
+    elements.createTorrentPath.innerHTML = segments
+        .map((_, i) => segments.slice(0, segments.length - i).join('/'))
+        .map((value, i) => `<option value="${escapeHtml(value)}">${escapeHtml(value)} ${i === 0 ? '(file)' : '(folder)'}</option>`)
+        .join('');
+
+    elements.createTorrentForm.hidden = false;
+    elements.createTorrentResult.hidden = true;
+    elements.createTorrentModal.classList.add('active');
+    elements.createTorrentModal.setAttribute('aria-hidden', 'false');
+}
+
+/**
+ * Closes the create torrent dialog
+ */
+function closeCreateTorrentModal() {
+    elements.createTorrentModal.classList.remove('active');
+    elements.createTorrentModal.setAttribute('aria-hidden', 'true');
+}
+
+/**
+ * Creates a torrent from the dialog's settings and shows its magnet link
+ */
+async function createTorrentFromForm() {
+    const trackers = elements.createTorrentTrackers.value
+        .split('\n')
+        .map((line) => line.trim())
+        .filter(Boolean);
+    const pieceLength = parseInt(elements.createTorrentPieceLength.value, 10);
+    const comment = elements.createTorrentComment.value.trim();
+
+    elements.createTorrentSubmit.disabled = true;
+
+    try {
+        const result = await apiRequest(APP_CONFIG.API_ENDPOINTS.CREATE_TORRENT, {
+            method: 'POST',
+            body: JSON.stringify({
+                path: elements.createTorrentPath.value,
+                trackers,
+                private: elements.createTorrentPrivate.checked,
+                ...(pieceLength && { pieceLength }),
+                ...(comment && { comment }),
+            }),
+        });
+
+        elements.createTorrentMagnet.value = result.magnetURI;
+        elements.createTorrentDownload.href = result.torrentUrl;
+        elements.createTorrentForm.hidden = true;
+        elements.createTorrentResult.hidden = false;
+
+        showToast(result.message, result.alreadyExists ? 'info' : 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        elements.createTorrentSubmit.disabled = false;
+    }
+}
+
+// =============================================================================
+// METADATA PREVIEW FUNCTIONS
+// =============================================================================
+
+/**
+ * Opens the dialog showing a torrent's contents before it is added
+ * @param {Object} preview - Metadata preview from the server
+ */
+function openMetadataModal(preview) {
+    renderMetadataPreview(preview);
+
+    elements.metadataModal.classList.add('active');
+    elements.metadataModal.setAttribute('aria-hidden', 'false');
+}
+
+/**
+ * Closes the metadata preview dialog
+ */
+function closeMetadataModal() {
+    state.metadataPreview = null;
+    elements.metadataModal.classList.remove('active');
+    elements.metadataModal.setAttribute('aria-hidden', 'true');
+}
+
+/**
+ * Renders the state of a metadata preview in the dialog
+ * @param {Object} preview - Metadata preview from the server
+ */
+function renderMetadataPreview(preview) {
+    const isReady = preview.status === 'ready';
+
+    state.metadataPreview = preview;
+    elements.metadataName.textContent = preview.name || 'Torrent Contents';
+    elements.metadataStatus.className = `metadata-status${preview.status === 'error' ? ' invalid' : ''}`;
+    elements.metadataSelectAllLabel.hidden = !isReady || preview.files.length < 2;
+    elements.metadataConfirm.disabled = !isReady;
+
+    if (preview.status === 'fetching') {
+        elements.metadataStatus.innerHTML = '<div class="spinner"></div><span>Fetching metadata from peers...</span>';
+        elements.metadataFiles.innerHTML = '';
+        return;
+    }
+
+    if (preview.status === 'error') {
+        elements.metadataStatus.innerHTML = `
+            <span><i class="fas fa-exclamation-circle" aria-hidden="true"></i> ${escapeHtml(preview.error)}</span>
+        `;
+        elements.metadataFiles.innerHTML = '';
+        return;
+    }
+
+    // Magnets with a select-only list start with just those files ticked
+    const isSelected = (index) => !preview.select || preview.select.includes(index);
+
+    elements.metadataFiles.innerHTML = preview.files.map((file) => `
+        <label class="metadata-file">
+            <input type="checkbox" data-index="${file.index}" data-size="${file.size}" ${isSelected(file.index) ? 'checked' : ''}>
+            <span class="metadata-file-path" title="${escapeHtml(file.path)}">${escapeHtml(file.path)}</span>
+            <span class="metadata-file-size">${formatBytes(file.size)}</span>
+        </label>
+    `).join('');
+
+    updateMetadataSelection();
+}
+
+/**
+ * Refreshes the selected size summary and the confirm button of the metadata dialog
+ */
+function updateMetadataSelection() {
+    const { pieceCount, pieceLength } = state.metadataPreview;
+    const checkboxes = [...elements.metadataFiles.querySelectorAll('input[type="checkbox"]')];
+    const selected = checkboxes.filter((checkbox) => checkbox.checked);
+    const selectedSize = selected.reduce((total, checkbox) => total + Number(checkbox.dataset.size), 0);
+    const totalSize = checkboxes.reduce((total, checkbox) => total + Number(checkbox.dataset.size), 0);
+
+    elements.metadataSelectAll.checked = selected.length === checkboxes.length;
+    elements.metadataConfirm.disabled = selected.length === 0;
+    elements.metadataStatus.innerHTML = `
+        <span><i class="fas fa-file" aria-hidden="true"></i> ${selected.length} of ${checkboxes.length} files</span>
+        <span><i class="fas fa-hdd" aria-hidden="true"></i> ${formatBytes(selectedSize)} of ${formatBytes(totalSize)}</span>
+        <span title="Pieces"><i class="fas fa-th" aria-hidden="true"></i> ${pieceCount} × ${formatBytes(pieceLength)}</span>
+    `;
+}
+
+/**
+ * Starts downloading the previewed torrent with the selected files
+ */
+async function confirmMetadataPreview() {
+    const { id } = state.metadataPreview;
+    const checkboxes = [...elements.metadataFiles.querySelectorAll('input[type="checkbox"]')];
+    const selectedFiles = checkboxes
+        .filter((checkbox) => checkbox.checked)
+        .map((checkbox) => Number(checkbox.dataset.index));
+
+    elements.metadataConfirm.disabled = true;
+
+    try {
+        const result = await apiRequest(`${APP_CONFIG.API_ENDPOINTS.METADATA}/${id}/confirm`, {
+            method: 'POST',
+            body: JSON.stringify({
+                selectedFiles,
+                ...(elements.categorySelect.value && { category: elements.categorySelect.value }),
+            }),
+        });
+
+        closeMetadataModal();
+
+        if (result.alreadyExists) {
+            showExistingDownload(result);
+        } else {
+            showToast('Torrent added successfully!', 'success');
+        }
+    } catch (error) {
+        showToast(error.message, 'error');
+        elements.metadataConfirm.disabled = false;
+    }
+}
+
+/**
+ * Discards the previewed torrent and closes the dialog
+ */
+async function discardMetadataPreview() {
+    const id = state.metadataPreview?.id;
+
+    closeMetadataModal();
+
+    if (!id) {
+        return;
+    }
+
+    try {
+        await apiRequest(`${APP_CONFIG.API_ENDPOINTS.METADATA}/${id}`, { method: 'DELETE' });
+    } catch (error) {
+        // The preview may already have expired on the server
+        console.warn('Failed to discard metadata preview:', error.message);
+    }
+}
+
+// =============================================================================
+// CATEGORY FUNCTIONS
+// =============================================================================
+
+/**
+ * Checks whether a download belongs to the selected category filter
+ * @param {Object} download - Download object
+ * @returns {boolean} True if the card should be shown
+ */
+function matchesCategoryFilter(download) {
+    return !state.categoryFilter || download.category === state.categoryFilter;
+}
+
+/**
+ * Fills a category select with the known categories, keeping its selection when possible
+ * @param {HTMLSelectElement} select - Select element
+ * @param {string} emptyLabel - Label of the empty option
+ */
+function renderCategoryOptions(select, emptyLabel) {
+    const previous = select.value;
+
+    const options = state.categories
+        .map((category) => `<option value="${escapeHtml(category.name)}">${escapeHtml(category.name)}</option>`)
+        .join('');
+
+    select.innerHTML = `<option value="">${emptyLabel}</option>${options}`;
+    select.value = state.categories.some((category) => category.name === previous) ? previous : '';
+}
+
+/**
+ * Renders the category list, selects and filter
+ * @param {Array} categories - Categories from the server
+ */
+function renderCategories(categories) {
+    const previousFilter = state.categoryFilter;
+
+    state.categories = categories;
+    renderCategoryOptions(elements.categorySelect, 'No category');
+    renderCategoryOptions(elements.categoryFilter, 'All categories');
+    renderCategoryOptions(elements.categoryAssignSelect, 'No category');
+
+    elements.categoryList.innerHTML = categories.length === 0
+        ? '<p class="drop-hint">No categories yet</p>'
+        : categories.map((category) => `
+            <div class="category-item">
+                <div class="category-item-info">
+                    <div>${escapeHtml(category.name)} <span class="drop-hint">(${category.downloads})</span></div>
+                    <div class="category-item-path" title="${escapeHtml(category.path)}">${escapeHtml(category.path)}</div>
+                </div>
+                <button class="btn btn-danger btn-sm icon-btn" data-category="${escapeHtml(category.name)}" title="Delete category" aria-label="Delete category">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `).join('');
+
+    // A deleted category can no longer be filtered on
+    state.categoryFilter = elements.categoryFilter.value;
+
+    if (state.categoryFilter !== previousFilter) {
+        applyCategoryFilter();
+    }
+}
+
+/**
+ * Shows only the downloads and files of the selected category
+ */
+function applyCategoryFilter() {
+    state.downloads.forEach((download) => {
+        const card = document.getElementById(`download-${download.id}`);
+
+        if (card) {
+            card.hidden = !matchesCategoryFilter(download);
+        }
+    });
+
+    drawAllPieceMaps();
+    loadFiles();
+}
+
+/**
+ * Loads the categories from the server
+ */
+async function loadCategories() {
+    try {
+        renderCategories(await apiRequest(APP_CONFIG.API_ENDPOINTS.CATEGORIES));
+    } catch (error) {
+        console.error('Failed to load categories:', error);
+    }
+}
+
+/**
+ * Wires up the category filter, dialog and forms
+ */
+function initCategoryControls() {
+    elements.categoryFilter.addEventListener('change', () => {
+        state.categoryFilter = elements.categoryFilter.value;
+        applyCategoryFilter();
+    });
+
+    elements.manageCategoriesBtn.addEventListener('click', () => openCategoryModal());
+    elements.categoryForm.addEventListener('submit', saveCategory);
+    elements.categoryAssignForm.addEventListener('submit', assignCategory);
+
+    elements.categoryList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-category]');
+
+        if (button) {
+            deleteCategory(button.dataset.category);
+        }
+    });
+
+    loadCategories();
+}
+
+/**
+ * Opens the categories dialog, optionally to change the category of a download
+ * @param {string} [downloadId] - Download whose category is changed
+ */
+function openCategoryModal(downloadId = null) {
+    const download = downloadId ? state.downloads.get(downloadId) : null;
+
+    state.categoryAssignId = download ? downloadId : null;
+    elements.categoryAssignForm.hidden = !download;
+
+    if (download) {
+        elements.categoryAssignName.textContent = download.name;
+        elements.categoryAssignSelect.value = download.category || '';
+    }
+
+    elements.categoryModal.classList.add('active');
+    elements.categoryModal.setAttribute('aria-hidden', 'false');
+}
+
+/**
+ * Closes the categories dialog
+ */
+function closeCategoryModal() {
+    state.categoryAssignId = null;
+    elements.categoryModal.classList.remove('active');
+    elements.categoryModal.setAttribute('aria-hidden', 'true');
+}
+
+/**
+ * Creates or updates a category from the dialog form
+ */
+async function saveCategory() {
+    const name = elements.categoryName.value.trim();
+    const savePath = elements.categorySavePath.value.trim();
+
+    try {
+        const result = await apiRequest(`${APP_CONFIG.API_ENDPOINTS.CATEGORIES}/${encodeURIComponent(name)}`, {
+            method: 'PUT',
+            body: JSON.stringify(savePath ? { savePath } : {}),
+        });
+
+        elements.categoryForm.reset();
+        renderCategories(result.categories);
+        showToast(result.message, 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Deletes a category; its downloads keep their data
+ * @param {string} name - Category name
+ */
+async function deleteCategory(name) {
+    try {
+        const result = await apiRequest(`${APP_CONFIG.API_ENDPOINTS.CATEGORIES}/${encodeURIComponent(name)}`, {
+            method: 'DELETE',
+        });
+
+        renderCategories(result.categories);
+        showToast(result.message, 'info');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Moves the download chosen in the dialog to the selected category
+ */
+async function assignCategory() {
+    const id = state.categoryAssignId;
+
+    elements.categoryAssignSubmit.disabled = true;
+
+    try {
+        const result = await apiRequest(`${APP_CONFIG.API_ENDPOINTS.DOWNLOAD}/${id}/category`, {
+            method: 'PUT',
+            body: JSON.stringify({ category: elements.categoryAssignSelect.value || null }),
+        });
+
+        closeCategoryModal();
+        showToast(result.message, 'success');
+        loadFiles();
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        elements.categoryAssignSubmit.disabled = false;
+    }
+}
+
+// =============================================================================
+// FEED FUNCTIONS
+// =============================================================================
+
+/**
+ * Describes what a feed rule matches
+ * @param {Object} rule - Feed rule
+ * @returns {string} Short summary (e.g., "matches /1080p/, 1 GB - 4 GB, TV")
+ */
+function describeFeedRule(rule) {
+    const parts = [];
+
+    if (rule.include) {
+        parts.push(`matches /${rule.include}/`);
+    }
+
+    if (rule.exclude) {
+        parts.push(`not /${rule.exclude}/`);
+    }
+
+    if (rule.minSize || rule.maxSize) {
+        parts.push(`${rule.minSize ? formatBytes(rule.minSize) : '0 B'} - ${rule.maxSize ? formatBytes(rule.maxSize) : 'any size'}`);
+    }
+
+    if (rule.category) {
+        parts.push(rule.category);
+    }
+
+    if (rule.dedupeEpisodes) {
+        parts.push(`new episodes only (${rule.downloadedEpisodes.length} downloaded)`);
+    }
+
+    return parts.join(', ') || 'every item';
+}
+
+/**
+ * Describes when a feed was last checked
+ * @param {Object} feed - Feed object
+ * @returns {string} Status line
+ */
+function describeFeedStatus(feed) {
+    if (feed.checking) {
+        return 'Checking...';
+    }
+
+    if (!feed.rules.some((rule) => rule.enabled)) {
+        return 'Add an enabled rule to start checking this feed';
+    }
+
+    if (feed.lastError) {
+        return `Last check failed: ${feed.lastError}`;
+    }
+
+    const checked = feed.lastCheckedAt ? `Checked ${new Date(feed.lastCheckedAt).toLocaleString()}` : 'Not checked yet';
+
+    return feed.enabled ? `${checked}, every ${feed.interval} min` : `${checked}, checking disabled`;
+}
+
+/**
+ * Creates HTML for a feed card with its rules
+ * @param {Object} feed - Serialized feed from the server
+ * @returns {string} HTML string
+ */
+function createFeedCardHtml(feed) {
+    const rulesHtml = feed.rules.map((rule) => `
+        <div class="category-item feed-rule ${rule.enabled ? '' : 'disabled'}">
+            <div class="category-item-info">
+                <div>${escapeHtml(rule.name)}</div>
+                <div class="category-item-path">${escapeHtml(describeFeedRule(rule))}</div>
+            </div>
+            <button class="btn btn-secondary btn-sm icon-btn" data-action="toggle-rule" data-rule-id="${rule.id}"
+                title="${rule.enabled ? 'Disable' : 'Enable'} rule" aria-label="${rule.enabled ? 'Disable' : 'Enable'} rule">
+                <i class="fas fa-${rule.enabled ? 'pause' : 'play'}"></i>
+            </button>
+            <button class="btn btn-secondary btn-sm icon-btn" data-action="edit-rule" data-rule-id="${rule.id}" title="Edit rule" aria-label="Edit rule">
+                <i class="fas fa-pen"></i>
+            </button>
+            <button class="btn btn-danger btn-sm icon-btn" data-action="delete-rule" data-rule-id="${rule.id}" title="Delete rule" aria-label="Delete rule">
+                <i class="fas fa-trash"></i>
+            </button>
+        </div>
+    `).join('');
+
+    return `
+        <div class="feed-card ${feed.enabled ? '' : 'disabled'}" data-feed-id="${feed.id}">
+            <div class="feed-header">
+                <div class="feed-info">
+                    <div class="file-name">${escapeHtml(feed.name)}</div>
+                    <div class="feed-url" title="${escapeHtml(feed.url)}">${escapeHtml(feed.url)}</div>
+                    <div class="feed-status ${feed.lastError ? 'error' : ''}">${escapeHtml(describeFeedStatus(feed))}</div>
+                </div>
+                <div class="feed-actions">
+                    <button class="btn btn-secondary btn-sm" data-action="add-rule" title="Add rule" aria-label="Add rule">
+                        <i class="fas fa-plus"></i> Rule
+                    </button>
+                    <button class="btn btn-secondary btn-sm icon-btn" data-action="refresh-feed" title="Check now"
+                        aria-label="Check now" ${feed.checking ? 'disabled' : ''}>
+                        <i class="fas fa-sync-alt ${feed.checking ? 'fa-spin' : ''}"></i>
+                    </button>
+                    <button class="btn btn-secondary btn-sm icon-btn" data-action="toggle-feed"
+                        title="${feed.enabled ? 'Disable' : 'Enable'} feed" aria-label="${feed.enabled ? 'Disable' : 'Enable'} feed">
+                        <i class="fas fa-${feed.enabled ? 'pause' : 'play'}"></i>
+                    </button>
+                    <button class="btn btn-danger btn-sm icon-btn" data-action="delete-feed" title="Delete feed" aria-label="Delete feed">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+            ${rulesHtml ? `<div class="feed-rules">${rulesHtml}</div>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Renders the feed list
+ * @param {Array} feeds - Feeds from the server
+ */
+function renderFeeds(feeds) {
+    state.feeds = feeds;
+    elements.feedCount.textContent = feeds.length;
+
+    elements.feedsList.innerHTML = feeds.length === 0
+        ? `
+            <div class="empty-state">
+                <i class="fas fa-rss"></i>
+                <h3>No feeds yet</h3>
+                <p>Add a feed, then a rule to choose which of its items are downloaded</p>
+            </div>
+        `
+        : feeds.map(createFeedCardHtml).join('');
+}
+
+/**
+ * Loads the feeds from the server
+ */
+async function loadFeeds() {
+    try {
+        renderFeeds(await apiRequest(APP_CONFIG.API_ENDPOINTS.FEEDS));
+    } catch (error) {
+        console.error('Failed to load feeds:', error);
+    }
+}
+
+/**
+ * Adds the feed entered in the feed form
+ */
+async function addFeed() {
+    const interval = parseInt(elements.feedInterval.value, 10);
+
+    try {
+        const result = await apiRequest(APP_CONFIG.API_ENDPOINTS.FEEDS, {
+            method: 'POST',
+            body: JSON.stringify({
+                url: elements.feedUrl.value.trim(),
+                name: elements.feedName.value.trim(),
+                ...(interval && { interval }),
+            }),
+        });
+
+        elements.feedForm.reset();
+        showToast(`${result.message}, now add a rule to it`, 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Sends a feed or rule change and shows the result
+ * @param {string} url - API URL
+ * @param {string} method - HTTP method
+ * @param {Object} [body] - Request body
+ * @returns {Promise<Object|null>} Response, or null if the request failed
+ */
+async function sendFeedRequest(url, method, body) {
+    try {
+        return await apiRequest(url, {
+            method,
+            ...(body && { body: JSON.stringify(body) }),
+        });
+    } catch (error) {
+        showToast(error.message, 'error');
+        return null;
+    }
+}
+
+/**
+ * Handles the buttons on a feed card
+ * @param {Event} e - Click event
+ */
+async function handleFeedAction(e) {
+    const button = e.target.closest('[data-action]');
+    const feedId = button?.closest('.feed-card')?.dataset.feedId;
+    const feed = state.feeds.find(({ id }) => id === feedId);
+
+    if (!feed) {
+        return;
+    }
+
+    const feedUrl = `${APP_CONFIG.API_ENDPOINTS.FEEDS}/${feedId}`;
+    const rule = feed.rules.find(({ id }) => id === button.dataset.ruleId);
+
+    switch (button.dataset.action) {
+    case 'add-rule':
+        openFeedRuleModal(feedId);
+        break;
+    case 'edit-rule':
+        openFeedRuleModal(feedId, rule);
+        break;
+    case 'toggle-rule':
+        await sendFeedRequest(`${feedUrl}/rules/${rule.id}`, 'PUT', { enabled: !rule.enabled });
+        break;
+    case 'delete-rule':
+        await sendFeedRequest(`${feedUrl}/rules/${rule.id}`, 'DELETE');
+        break;
+    case 'toggle-feed':
+        await sendFeedRequest(feedUrl, 'PUT', { enabled: !feed.enabled });
+        break;
+    case 'delete-feed':
+        if (await sendFeedRequest(feedUrl, 'DELETE')) {
+            showToast(`Feed deleted: ${feed.name}`, 'info');
+        }
+        break;
+    case 'refresh-feed': {
+        const result = await sendFeedRequest(`${feedUrl}/refresh`, 'POST');
+
+        if (result) {
+            showToast(result.message, result.feed.lastError ? 'error' : 'success');
+        }
+        break;
+    }
+    default:
+        break;
+    }
+}
+
+/**
+ * Opens the rule dialog to add a rule to a feed or edit one of its rules
+ * @param {string} feedId - Feed ID
+ * @param {Object} [rule] - Rule to edit
+ */
+function openFeedRuleModal(feedId, rule = null) {
+    const megabytes = (bytes) => (bytes ? String(bytes / (1024 * 1024)) : '');
+
+    state.feedRuleEdit = { feedId, ruleId: rule?.id || null };
+    renderCategoryOptions(elements.feedRuleCategory, 'No category');
+
+    elements.feedRuleName.value = rule?.name || '';
+    elements.feedRuleInclude.value = rule?.include || '';
+    elements.feedRuleExclude.value = rule?.exclude || '';
+    elements.feedRuleMinSize.value = megabytes(rule?.minSize);
+    elements.feedRuleMaxSize.value = megabytes(rule?.maxSize);
+    elements.feedRuleCategory.value = rule?.category || '';
+    elements.feedRuleDedupe.checked = rule?.dedupeEpisodes || false;
+    elements.feedRuleEnabled.checked = rule?.enabled ?? true;
+
+    elements.feedRuleModal.classList.add('active');
+    elements.feedRuleModal.setAttribute('aria-hidden', 'false');
+    elements.feedRuleInclude.focus();
+}
+
+/**
+ * Closes the rule dialog
+ */
+function closeFeedRuleModal() {
+    state.feedRuleEdit = null;
+    elements.feedRuleModal.classList.remove('active');
+    elements.feedRuleModal.setAttribute('aria-hidden', 'true');
+}
+
+/**
+ * Saves the rule from the rule dialog
+ */
+async function saveFeedRule() {
+    const { feedId, ruleId } = state.feedRuleEdit;
+    const bytes = (input) => (input.value ? Math.round(parseFloat(input.value) * 1024 * 1024) : null);
+    const rulesUrl = `${APP_CONFIG.API_ENDPOINTS.FEEDS}/${feedId}/rules`;
+
+    const result = await sendFeedRequest(ruleId ? `${rulesUrl}/${ruleId}` : rulesUrl, ruleId ? 'PUT' : 'POST', {
+        name: elements.feedRuleName.value.trim(),
+        include: elements.feedRuleInclude.value.trim(),
+        exclude: elements.feedRuleExclude.value.trim(),
+        minSize: bytes(elements.feedRuleMinSize),
+        maxSize: bytes(elements.feedRuleMaxSize),
+        category: elements.feedRuleCategory.value || null,
+        dedupeEpisodes: elements.feedRuleDedupe.checked,
+        enabled: elements.feedRuleEnabled.checked,
+    });
+
+    if (result) {
+        closeFeedRuleModal();
+        showToast(result.message, 'success');
+    }
+}
+
+/**
+ * Loads the current page of the feed history
+ */
+async function loadFeedHistory() {
+    const params = new URLSearchParams({
+        offset: state.feedHistoryOffset,
+        limit: APP_CONFIG.FEED_HISTORY_PAGE_SIZE,
+    });
+
+    if (elements.feedHistoryStatus.value) {
+        params.set('status', elements.feedHistoryStatus.value);
+    }
+
+    try {
+        renderFeedHistory(await apiRequest(`${APP_CONFIG.API_ENDPOINTS.FEED_HISTORY}?${params}`));
+    } catch (error) {
+        console.error('Failed to load feed history:', error);
+    }
+}
+
+/**
+ * Renders a page of the feed history
+ * @param {Object} page - History page ({ total, offset, limit, entries })
+ */
+function renderFeedHistory(page) {
+    const pageCount = Math.max(Math.ceil(page.total / page.limit), 1);
+
+    elements.feedHistoryList.innerHTML = page.entries.length === 0
+        ? '<p class="drop-hint">No feed items evaluated yet</p>'
+        : page.entries.map((entry) => {
+            const details = [
+                entry.feedName,
+                entry.size ? formatBytes(entry.size) : null,
+                entry.ruleName,
+                entry.reason,
+                new Date(entry.at).toLocaleString(),
+            ].filter(Boolean).join(' · ');
+
+            return `
+                <div class="feed-history-item">
+                    <span class="status-badge ${entry.status}">${entry.status}</span>
+                    <div class="category-item-info">
+                        <div class="metadata-file-path" title="${escapeHtml(entry.title)}">${escapeHtml(entry.title)}</div>
+                        <div class="category-item-path">${escapeHtml(details)}</div>
+                    </div>
+                    ${entry.status === 'matched' ? '' : `
+                        <button class="btn btn-secondary btn-sm icon-btn" data-history-id="${entry.id}" title="Download anyway" aria-label="Download anyway">
+                            <i class="fas fa-download"></i>
+                        </button>
+                    `}
+                </div>
+            `;
+        }).join('');
+
+    elements.feedHistoryPage.textContent = `Page ${Math.floor(page.offset / page.limit) + 1} of ${pageCount}`;
+    elements.feedHistoryPrev.disabled = page.offset === 0;
+    elements.feedHistoryNext.disabled = page.offset + page.limit >= page.total;
+}
+
+/**
+ * Adds the item of a skipped or failed history entry
+ * @param {string} id - History entry ID
+ */
+async function downloadFeedHistoryItem(id) {
+    const result = await sendFeedRequest(`${APP_CONFIG.API_ENDPOINTS.FEED_HISTORY}/${id}/download`, 'POST');
+
+    if (result?.alreadyExists) {
+        showExistingDownload(result);
+    } else if (result) {
+        showToast(result.message, 'success');
+    }
+}
+
+/**
+ * Wires up the feed form, cards, rule dialog and history
+ */
+function initFeedControls() {
+    elements.feedForm.addEventListener('submit', addFeed);
+    elements.feedsList.addEventListener('click', handleFeedAction);
+    elements.feedRuleForm.addEventListener('submit', saveFeedRule);
+
+    elements.feedHistoryStatus.addEventListener('change', () => {
+        state.feedHistoryOffset = 0;
+        loadFeedHistory();
+    });
+
+    elements.feedHistoryPrev.addEventListener('click', () => {
+        state.feedHistoryOffset = Math.max(state.feedHistoryOffset - APP_CONFIG.FEED_HISTORY_PAGE_SIZE, 0);
+        loadFeedHistory();
+    });
+
+    elements.feedHistoryNext.addEventListener('click', () => {
+        state.feedHistoryOffset += APP_CONFIG.FEED_HISTORY_PAGE_SIZE;
+        loadFeedHistory();
+    });
+
+    elements.feedHistoryList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-history-id]');
+
+        if (button) {
+            downloadFeedHistoryItem(button.dataset.historyId);
+        }
+    });
+
+    loadFeeds();
+}
+
+// =============================================================================
+// HISTORY FUNCTIONS
+// =============================================================================
+
+/**
+ * Loads the lifetime totals and the current page of the download history
+ */
+async function loadHistory() {
+    const params = new URLSearchParams({
+        offset: state.historyOffset,
+        limit: APP_CONFIG.HISTORY_PAGE_SIZE,
+    });
+    const search = elements.historySearch.value.trim();
+
+    if (search) {
+        params.set('search', search);
+    }
+
+    try {
+        const [stats, page] = await Promise.all([
+            apiRequest(APP_CONFIG.API_ENDPOINTS.HISTORY_STATS),
+            apiRequest(`${APP_CONFIG.API_ENDPOINTS.HISTORY}?${params}`),
+        ]);
+
+        renderHistoryStats(stats);
+        renderHistory(page);
+    } catch (error) {
+        console.error('Failed to load history:', error);
+    }
+}
+
+/**
+ * Renders the lifetime totals above the history
+ * @param {Object} stats - Lifetime statistics from the server
+ */
+function renderHistoryStats(stats) {
+    const items = [
+        ['Torrents added', stats.added],
+        ['Completed', stats.completed],
+        ['Downloaded', formatBytes(stats.downloaded)],
+        ['Uploaded', formatBytes(stats.uploaded)],
+        ['Transferred', formatBytes(stats.transferred)],
+        ['Average speed', formatSpeed(stats.averageSpeed)],
+    ];
+
+    elements.historyStats.innerHTML = items.map(([label, value]) => `
+        <div class="history-stat">
+            <dt>${label}</dt>
+            <dd>${value}</dd>
+        </div>
+    `).join('');
+}
+
+/**
+ * Renders a page of the download history
+ * @param {Object} page - History page ({ total, offset, limit, entries })
+ */
+function renderHistory(page) {
+    const pageCount = Math.max(Math.ceil(page.total / page.limit), 1);
+
+    elements.historyList.innerHTML = page.entries.length === 0
+        ? `<p class="drop-hint">${elements.historySearch.value.trim() ? 'No matching torrents' : 'No torrents added yet'}</p>`
+        : page.entries.map((entry) => {
+            const details = [
+                entry.size ? formatBytes(entry.size) : null,
+                `↓ ${formatBytes(entry.downloaded)}`,
+                `↑ ${formatBytes(entry.uploaded)}`,
+                entry.averageSpeed ? `avg ${formatSpeed(entry.averageSpeed)}` : null,
+                `Added ${new Date(entry.addedAt).toLocaleString()}`,
+                entry.completedAt ? `Completed ${new Date(entry.completedAt).toLocaleString()}` : null,
+                entry.removedAt
+                    ? `Removed ${new Date(entry.removedAt).toLocaleString()}${entry.dataDeleted ? ' with its files' : ''}`
+                    : null,
+            ].filter(Boolean).join(' · ');
+
+            return `
+                <div class="feed-history-item${entry.active ? '' : ' removed'}">
+                    <span class="status-badge ${entry.status}">${entry.status}</span>
+                    <div class="category-item-info">
+                        <div class="metadata-file-path" title="${escapeHtml(entry.name)}">${escapeHtml(entry.name)}</div>
+                        <div class="category-item-path">${escapeHtml(details)}</div>
+                        ${entry.error ? `<div class="details-error">${escapeHtml(entry.error)}</div>` : ''}
+                    </div>
+                    <code class="history-hash" title="Info hash">${escapeHtml(entry.infoHash || '')}</code>
+                </div>
+            `;
+        }).join('');
+
+    elements.historyPage.textContent = `Page ${Math.floor(page.offset / page.limit) + 1} of ${pageCount}`;
+    elements.historyPrev.disabled = page.offset === 0;
+    elements.historyNext.disabled = page.offset + page.limit >= page.total;
+}
+
+/**
+ * Wires up the history search and pager
+ */
+function initHistoryControls() {
+    elements.historySearch.addEventListener('input', () => {
+        clearTimeout(state.historySearchTimer);
+        state.historySearchTimer = setTimeout(() => {
+            state.historyOffset = 0;
+            loadHistory();
+        }, APP_CONFIG.HISTORY_SEARCH_DELAY);
+    });
+
+    elements.historyPrev.addEventListener('click', () => {
+        state.historyOffset = Math.max(state.historyOffset - APP_CONFIG.HISTORY_PAGE_SIZE, 0);
+        loadHistory();
+    });
+
+    elements.historyNext.addEventListener('click', () => {
+        state.historyOffset += APP_CONFIG.HISTORY_PAGE_SIZE;
+        loadHistory();
+    });
+}
+
+// =============================================================================
+// SCHEDULE FUNCTIONS
+// =============================================================================
+
+/**
+ * Shows the schedule mode in the header and the schedule dialog
+ * @param {Object} status - Schedule status from the server
+ */
+function renderScheduleStatus(status) {
+    const { override, nextChange } = status;
+    let detail = 'Not following a schedule';
+
+    elements.scheduleButton.className = `btn btn-secondary btn-sm schedule-button ${status.mode}`;
+    elements.scheduleMode.textContent = status.enabled ? SCHEDULE_MODE_LABELS[status.mode] : 'Schedule off';
+
+    if (override) {
+        detail = override.until
+            ? `Overridden until ${new Date(override.until).toLocaleString()}`
+            : 'Overridden until the override is cleared';
+    } else if (nextChange) {
+        detail = `${SCHEDULE_MODE_LABELS[nextChange.mode]} from ${new Date(nextChange.at).toLocaleString()}`;
+    }
+
+    elements.scheduleStatus.innerHTML = `
+        <span><strong>${SCHEDULE_MODE_LABELS[status.mode]}</strong></span>
+        <span>${escapeHtml(detail)}</span>
+    `;
+
+    elements.scheduleOverride.querySelectorAll('[data-override]').forEach((button) => {
+        button.disabled = !status.enabled;
+        button.classList.toggle('active', button.dataset.override === (override?.mode || ''));
+    });
+}
+
+/**
+ * Renders the weekly grid from the schedule being edited
+ */
+function renderScheduleGrid() {
+    const now = new Date();
+    const hourLabels = Array.from({ length: 24 }, (_, hour) => (
+        `<span class="schedule-grid-label">${hour % 3 === 0 ? hour : ''}</span>`
+    )).join('');
+
+    const rows = state.scheduleDraft.map((hours, day) => `
+        <span class="schedule-grid-label">${WEEKDAY_NAMES[day]}</span>
+        ${hours.map((mode, hour) => `
+            <button type="button" class="schedule-cell ${mode} ${day === now.getDay() && hour === now.getHours() ? 'current' : ''}"
+                data-day="${day}" data-hour="${hour}" title="${WEEKDAY_NAMES[day]} ${hour}:00 - ${SCHEDULE_MODE_LABELS[mode]}"
+                aria-label="${WEEKDAY_NAMES[day]} ${hour}:00, ${SCHEDULE_MODE_LABELS[mode]}"></button>
+        `).join('')}
+    `).join('');
+
+    elements.scheduleGrid.innerHTML = `<span></span>${hourLabels}${rows}`;
+}
+
+/**
+ * Sets an hour block of the schedule being edited to the selected mode
+ * @param {HTMLElement} cell - Grid cell
+ */
+function paintScheduleCell(cell) {
+    const mode = elements.scheduleForm.querySelector('input[name="scheduleBrush"]:checked').value;
+    const day = Number(cell.dataset.day);
+    const hour = Number(cell.dataset.hour);
+
+    state.scheduleDraft[day][hour] = mode;
+    cell.classList.remove(...SCHEDULE_MODES);
+    cell.classList.add(mode);
+    cell.title = `${WEEKDAY_NAMES[day]} ${hour}:00 - ${SCHEDULE_MODE_LABELS[mode]}`;
+}
+
+/**
+ * Opens the schedule dialog with the saved schedule
+ */
+async function openScheduleModal() {
+    try {
+        const schedule = await apiRequest(APP_CONFIG.API_ENDPOINTS.SCHEDULE);
+
+        state.scheduleDraft = schedule.days;
+        elements.scheduleEnabled.checked = schedule.enabled;
+        renderScheduleStatus(schedule);
+        renderScheduleGrid();
+
+        elements.scheduleModal.classList.add('active');
+        elements.scheduleModal.setAttribute('aria-hidden', 'false');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Closes the schedule dialog, discarding unsaved changes
+ */
+function closeScheduleModal() {
+    state.scheduleDraft = null;
+    elements.scheduleModal.classList.remove('active');
+    elements.scheduleModal.setAttribute('aria-hidden', 'true');
+}
+
+/**
+ * Saves the schedule being edited
+ */
+async function saveSchedule() {
+    try {
+        const result = await apiRequest(APP_CONFIG.API_ENDPOINTS.SCHEDULE, {
+            method: 'PUT',
+            body: JSON.stringify({
+                enabled: elements.scheduleEnabled.checked,
+                days: state.scheduleDraft,
+            }),
+        });
+
+        renderScheduleStatus(result);
+        showToast(result.message, 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Overrides the schedule until its next block, or follows it again
+ * @param {string} mode - Mode to use, or an empty string to follow the schedule
+ */
+async function overrideSchedule(mode) {
+    try {
+        const result = await apiRequest(`${APP_CONFIG.API_ENDPOINTS.SCHEDULE}/override`, {
+            method: mode ? 'PUT' : 'DELETE',
+            ...(mode && { body: JSON.stringify({ mode }) }),
+        });
+
+        renderScheduleStatus(result);
+        showToast(result.message, 'info');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Wires up the schedule button and dialog. Blocks are painted by clicking or dragging across the grid.
+ */
+function initScheduleControls() {
+    let isPainting = false;
+
+    elements.scheduleButton.addEventListener('click', openScheduleModal);
+    elements.scheduleForm.addEventListener('submit', saveSchedule);
+
+    elements.scheduleOverride.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-override]');
+
+        if (button) {
+            overrideSchedule(button.dataset.override);
+        }
+    });
+
+    elements.scheduleGrid.addEventListener('pointerdown', (e) => {
+        const cell = e.target.closest('.schedule-cell');
+
+        if (cell) {
+            isPainting = true;
+            paintScheduleCell(cell);
+        }
+    });
+
+    elements.scheduleGrid.addEventListener('pointerover', (e) => {
+        const cell = e.target.closest('.schedule-cell');
+
+        if (isPainting && cell) {
+            paintScheduleCell(cell);
+        }
+    });
+
+    document.addEventListener('pointerup', () => {
+        isPainting = false;
+    });
+}
+
+// =============================================================================
+// HOOK FUNCTIONS
+// =============================================================================
+
+/**
+ * Opens the hooks dialog with the saved hooks
+ */
+async function openHooksModal() {
+    try {
+        const hooks = await apiRequest(APP_CONFIG.API_ENDPOINTS.HOOKS);
+
+        elements.hooksForm.querySelectorAll('[data-hook-event]').forEach((input) => {
+            const { hookEvent, hookField } = input.dataset;
+
+            input.value = hooks[hookEvent][hookField] || '';
+            // Stored commands stay visible when commands are disabled, but cannot be changed
+            input.disabled = hookField === 'command' && !hooks.commandsEnabled;
+        });
+
+        elements.hooksCommandsDisabled.hidden = hooks.commandsEnabled;
+        elements.hooksTimeout.value = hooks.timeout;
+        elements.hooksRetries.value = hooks.retries;
+
+        elements.hooksModal.classList.add('active');
+        elements.hooksModal.setAttribute('aria-hidden', 'false');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Closes the hooks dialog, discarding unsaved changes
+ */
+function closeHooksModal() {
+    elements.hooksModal.classList.remove('active');
+    elements.hooksModal.setAttribute('aria-hidden', 'true');
+}
+
+/**
+ * Saves the hooks being edited
+ */
+async function saveHooks() {
+    const changes = {
+        timeout: parseInt(elements.hooksTimeout.value, 10),
+        retries: parseInt(elements.hooksRetries.value, 10),
+    };
+
+    elements.hooksForm.querySelectorAll('[data-hook-event]:not(:disabled)').forEach((input) => {
+        const { hookEvent, hookField } = input.dataset;
+
+        changes[hookEvent] = { ...changes[hookEvent], [hookField]: input.value.trim() || null };
+    });
+
+    try {
+        const result = await apiRequest(APP_CONFIG.API_ENDPOINTS.HOOKS, {
+            method: 'PUT',
+            body: JSON.stringify(changes),
+        });
+
+        showToast(result.message, 'success');
+        closeHooksModal();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// =============================================================================
+// PIECE MAP FUNCTIONS
+// =============================================================================
+
+/**
+ * Applies a full piece map or a delta of changed pieces from the server
+ * @param {Object} update - { id, count, map } with base64 bytes, or { id, changes } with [index, byte] pairs
+ */
+function applyPieceMapUpdate(update) {
+    if (update.map !== undefined) {
+        state.pieceMaps.set(update.id, Uint8Array.from(atob(update.map), (char) => char.charCodeAt(0)));
+    } else {
+        const map = state.pieceMaps.get(update.id);
+
+        // A delta needs the full map it was made against
+        if (!map) {
+            return;
+        }
+
+        for (let i = 0; i < update.changes.length; i += 2) {
+            map[update.changes[i]] = update.changes[i + 1];
+        }
+    }
+
+    drawPieceMap(update.id);
+}
+
+/**
+ * Counts the pieces of a piece map by state
+ * @param {Uint8Array} map - Piece map
+ * @returns {{done: number, active: number, missing: number, unavailable: number}} Piece counts
+ */
+function countPieces(map) {
+    const counts = { done: 0, active: 0, missing: 0, unavailable: 0 };
+
+    for (const byte of map) {
+        const pieceState = byte >> 6;
+
+        if (pieceState === PIECE_STATES.done) {
+            counts.done++;
+        } else if (pieceState === PIECE_STATES.active) {
+            counts.active++;
+        } else {
+            counts.missing++;
+
+            if ((byte & PIECE_AVAILABILITY_MASK) === 0) {
+                counts.unavailable++;
+            }
+        }
+    }
+
+    return counts;
+}
+
+/**
+ * Draws the piece map of a download onto its card.
+ * The top band shows downloaded, in-progress and missing pieces, the bottom band how many peers have them,
+ * with missing pieces no peer has in red. Pieces sharing a pixel column are drawn together.
+ * @param {string} id - Download ID
+ */
+function drawPieceMap(id) {
+    const canvas = document.getElementById(`piece-map-${id}`);
+    const map = state.pieceMaps.get(id);
+
+    if (!canvas || !map || map.length === 0) {
+        return;
+    }
+
+    canvas.hidden = false;
+
+    // Cards on a hidden tab or filtered out are drawn once they are shown
+    if (canvas.clientWidth === 0) {
+        return;
+    }
+
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.floor(canvas.clientWidth * ratio);
+    const height = Math.max(1, Math.floor(canvas.clientHeight * ratio));
+    const stateHeight = Math.round(height * 0.7);
+    const columns = Math.min(width, map.length);
+    const columnWidth = width / columns;
+    const styles = getComputedStyle(document.documentElement);
+    const colors = {
+        done: styles.getPropertyValue('--success-color').trim(),
+        active: styles.getPropertyValue('--warning-color').trim(),
+        missing: styles.getPropertyValue('--bg-tertiary').trim(),
+        unavailable: styles.getPropertyValue('--danger-color').trim(),
+        availability: styles.getPropertyValue('--primary-color').trim(),
+    };
+    let maxAvailability = 1;
+
+    for (const byte of map) {
+        maxAvailability = Math.max(maxAvailability, byte & PIECE_AVAILABILITY_MASK);
+    }
+
+    canvas.width = width;
+    canvas.height = height;
+
+    const context = canvas.getContext('2d');
+
+    context.fillStyle = colors.missing;
+    context.fillRect(0, 0, width, stateHeight);
+
+    for (let column = 0; column < columns; column++) {
+        const start = Math.floor((column * map.length) / columns);
+        const end = Math.floor(((column + 1) * map.length) / columns);
+        const x = Math.floor(column * columnWidth);
+        const w = Math.max(1, Math.floor((column + 1) * columnWidth) - x);
+        let done = 0;
+        let isActive = false;
+        let isUnavailable = false;
+        let minAvailability = PIECE_AVAILABILITY_MASK;
+
+        for (let index = start; index < end; index++) {
+            const pieceState = map[index] >> 6;
+            const availability = map[index] & PIECE_AVAILABILITY_MASK;
+
+            if (pieceState === PIECE_STATES.done) {
+                done++;
+            } else if (pieceState === PIECE_STATES.active) {
+                isActive = true;
+            } else if (availability === 0) {
+                isUnavailable = true;
+            }
+
+            minAvailability = Math.min(minAvailability, availability);
+        }
+
+        if (isActive || done > 0) {
+            // Partly downloaded columns are shaded by how much of them is done
+            context.globalAlpha = isActive ? 1 : done / (end - start);
+            context.fillStyle = isActive ? colors.active : colors.done;
+            context.fillRect(x, 0, w, stateHeight);
+        }
+
+        context.globalAlpha = isUnavailable ? 1 : 0.2 + 0.8 * (minAvailability / maxAvailability);
+        context.fillStyle = isUnavailable ? colors.unavailable : colors.availability;
+        context.fillRect(x, stateHeight + ratio, w, height - stateHeight - ratio);
+        context.globalAlpha = 1;
+    }
+
+    const counts = countPieces(map);
+    const summary = `${counts.done} of ${map.length} pieces downloaded, ${counts.active} in progress, `
+        + `${counts.missing} missing (${counts.unavailable} not available from any peer)`;
+
+    canvas.title = summary;
+    canvas.setAttribute('aria-label', `Piece map: ${summary}`);
+}
+
+/**
+ * Redraws the piece maps of all download cards after their width changed or they were shown
+ */
+function drawAllPieceMaps() {
+    state.pieceMaps.forEach((map, id) => drawPieceMap(id));
+}
+
+// =============================================================================
+// DETAILS FUNCTIONS
+// =============================================================================
+
+/** Display names of tracker announce states */
+const TRACKER_STATUS_LABELS = Object.freeze({
+    pending: 'Not contacted',
+    working: 'Working',
+    error: 'Error',
+});
+
+/**
+ * Formats how long ago a timestamp was
+ * @param {number|null} timestamp - Time in milliseconds
+ * @returns {string} Formatted age (e.g., "5m ago") or "never"
+ */
+function formatAge(timestamp) {
+    return timestamp ? `${formatDuration(Math.max(0, (Date.now() - timestamp) / 1000))} ago` : 'never';
+}
+
+/**
+ * Creates the HTML for the peer table of the details drawer
+ * @param {Array} peers - Connected peers
+ * @returns {string} HTML string
+ */
+function createPeerTableHtml(peers) {
+    if (peers.length === 0) {
+        return '<p class="details-empty">No connected peers</p>';
+    }
+
+    const rows = peers.map((peer) => `
+        <tr>
+            <td class="details-address" title="${escapeHtml(peer.address)}">${escapeHtml(peer.address)}</td>
+            <td>${escapeHtml(peer.client || 'Unknown')}</td>
+            <td>${peer.progress}%</td>
+            <td>${formatSpeed(peer.downloadSpeed)}</td>
+            <td>${formatSpeed(peer.uploadSpeed)}</td>
+            <td>${escapeHtml(peer.connection)}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <table class="details-table">
+            <thead>
+                <tr><th>Address</th><th>Client</th><th>Progress</th><th>Down</th><th>Up</th><th>Connection</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Creates the HTML for the tracker table of the details drawer
+ * @param {Array} trackers - Trackers with their announce status
+ * @returns {string} HTML string
+ */
+function createTrackerTableHtml(trackers) {
+    if (trackers.length === 0) {
+        return '<p class="details-empty">No trackers</p>';
+    }
+
+    const rows = trackers.map((tracker) => {
+        const swarm = tracker.seeders !== null ? `${tracker.seeders} seeds, ${tracker.leechers ?? 0} peers` : '';
+        const lastError = tracker.lastError
+            ? `<div class="details-error">${escapeHtml(tracker.lastError)} (${formatAge(tracker.lastErrorAt)})</div>`
+            : '';
+
+        return `
+            <tr>
+                <td class="details-address" title="${escapeHtml(tracker.url)}">${escapeHtml(tracker.url)}${lastError}</td>
+                <td><span class="tracker-status ${escapeHtml(tracker.status)}">${TRACKER_STATUS_LABELS[tracker.status] || escapeHtml(tracker.status)}</span></td>
+                <td>${formatAge(tracker.lastAnnounce)}</td>
+                <td>${swarm}</td>
+                <td>
+                    <button class="btn btn-danger btn-sm icon-btn" data-remove-tracker="${escapeHtml(tracker.url)}"
+                        title="Remove tracker" aria-label="Remove tracker">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <table class="details-table">
+            <thead>
+                <tr><th>URL</th><th>Status</th><th>Last announce</th><th>Swarm</th><th></th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Renders the details of a download into the details drawer
+ * @param {Object} details - Download details from the server
+ */
+function renderDetails(details) {
+    const { pieces, dht } = details;
+    let dhtText = 'Disabled';
+
+    if (dht.enabled) {
+        dhtText = dht.listening
+            ? `${dht.nodes} nodes, last announce ${formatAge(dht.lastAnnounce)}`
+            : 'Starting';
+    }
+
+    const piecesText = pieces.count
+        ? `${pieces.have} / ${pieces.count} × ${formatBytes(pieces.length)}`
+        : 'Waiting for metadata';
+
+    elements.detailsName.textContent = details.name;
+    elements.detailsBody.innerHTML = `
+        <dl class="details-summary">
+            <dt>Pieces</dt><dd>${piecesText}</dd>
+            <dt>DHT</dt><dd>${dhtText}</dd>
+        </dl>
+        <h3 class="details-heading">Peers (${details.peers.length})</h3>
+        ${createPeerTableHtml(details.peers)}
+    `;
+    elements.detailsTrackers.innerHTML = createTrackerTableHtml(details.trackers);
+}
+
+/**
+ * Fetches the details of the download shown in the details drawer
+ */
+async function refreshDetails() {
+    const id = state.detailsId;
+
+    try {
+        const details = await apiRequest(`${APP_CONFIG.API_ENDPOINTS.DOWNLOAD}/${id}/details`);
+
+        // The drawer may have been closed or switched to another download meanwhile
+        if (state.detailsId === id) {
+            renderDetails(details);
+        }
+    } catch (error) {
+        if (state.detailsId === id) {
+            showToast(error.message, 'error');
+            closeDetailsDrawer();
+        }
+    }
+}
+
+/**
+ * Opens the details drawer for a download and keeps it up to date while open
+ * @param {string} id - Download ID
+ */
+function openDetailsDrawer(id) {
+    clearInterval(state.detailsTimer);
+
+    state.detailsId = id;
+    elements.detailsName.textContent = state.downloads.get(id)?.name || 'Details';
+    elements.detailsBody.innerHTML = '<p class="details-empty">Loading...</p>';
+    elements.detailsTrackers.innerHTML = '';
+    elements.detailsTrackerForm.reset();
+    elements.detailsDrawer.classList.add('active');
+    elements.detailsDrawer.setAttribute('aria-hidden', 'false');
+
+    refreshDetails();
+    state.detailsTimer = setInterval(refreshDetails, APP_CONFIG.DETAILS_REFRESH_INTERVAL);
+}
+
+/**
+ * Closes the details drawer and stops refreshing it
+ */
+function closeDetailsDrawer() {
+    clearInterval(state.detailsTimer);
+    state.detailsTimer = null;
+    state.detailsId = null;
+    elements.detailsDrawer.classList.remove('active');
+    elements.detailsDrawer.setAttribute('aria-hidden', 'true');
+}
+
+/**
+ * Adds the trackers entered in the details drawer to its download
+ */
+async function addDetailsTrackers() {
+    const trackers = elements.detailsTrackerUrls.value
+        .split(/\s+/)
+        .filter(Boolean);
+
+    if (trackers.length === 0) {
+        return;
+    }
+
+    try {
+        const result = await apiRequest(`${APP_CONFIG.API_ENDPOINTS.DOWNLOAD}/${state.detailsId}/trackers`, {
+            method: 'POST',
+            body: JSON.stringify({ trackers }),
+        });
+
+        elements.detailsTrackerForm.reset();
+        elements.detailsTrackers.innerHTML = createTrackerTableHtml(result.trackers);
+        showToast(result.message, 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Removes a tracker from the download shown in the details drawer
+ * @param {string} url - Tracker URL
+ */
+async function removeDetailsTracker(url) {
+    try {
+        const result = await apiRequest(`${APP_CONFIG.API_ENDPOINTS.DOWNLOAD}/${state.detailsId}/trackers`, {
+            method: 'DELETE',
+            body: JSON.stringify({ trackers: [url] }),
+        });
+
+        elements.detailsTrackers.innerHTML = createTrackerTableHtml(result.trackers);
+        showToast(result.message, 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Announces the download shown in the details drawer to its trackers now
+ */
+async function reannounceDetails() {
+    try {
+        const result = await apiRequest(`${APP_CONFIG.API_ENDPOINTS.DOWNLOAD}/${state.detailsId}/reannounce`, {
+            method: 'POST',
+        });
+
+        showToast(result.message, 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Sets up the tracker controls of the details drawer
+ */
+function initDetailsControls() {
+    elements.detailsTrackerForm.addEventListener('submit', addDetailsTrackers);
+    elements.detailsReannounce.addEventListener('click', reannounceDetails);
+
+    // Tracker rows are re-rendered on every refresh, so removals are handled here
+    elements.detailsTrackers.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-remove-tracker]');
+
+        if (button) {
+            removeDetailsTracker(button.dataset.removeTracker);
+        }
+    });
+}
+
 // Make player and subtitle functions globally available
 window.openPlayer = openPlayer;
 window.closePlayer = closePlayer;
@@ -1564,6 +4108,14 @@ window.openSubtitlePicker = openSubtitlePicker;
 window.closeSubtitleModal = closeSubtitleModal;
 window.removeSubtitle = removeSubtitle;
 window.loadSelectedSubtitle = loadSelectedSubtitle;
+window.openCreateTorrentModal = openCreateTorrentModal;
+window.closeCreateTorrentModal = closeCreateTorrentModal;
+window.discardMetadataPreview = discardMetadataPreview;
+window.closeCategoryModal = closeCategoryModal;
+window.closeFeedRuleModal = closeFeedRuleModal;
+window.closeScheduleModal = closeScheduleModal;
+window.closeHooksModal = closeHooksModal;
+window.closeDetailsDrawer = closeDetailsDrawer;
 
 // Start application when DOM is ready
 if (document.readyState === 'loading') {
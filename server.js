@@ -12,6 +12,10 @@ import express from 'express';
 import http from 'http';
 import { Server } from 'socket.io';
 import WebTorrent from 'webtorrent';
+import multer from 'multer';
+import createTorrent from 'create-torrent';
+import MemoryChunkStore from 'memory-chunk-store';
+import parseTorrent, { toMagnetURI } from 'parse-torrent';
 import path from 'path';
 import fs from 'fs';
 import { v4 as uuidv4 } from 'uuid';
@@ -25,12 +29,69 @@ import { spawn } from 'child_process';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/** Directory holding persistent application state */
+const DATA_DIR = path.join(__dirname, 'data');
+
+/** Directory completed downloads are saved in, unless their category has its own path */
+const DOWNLOADS_DIR = path.join(__dirname, 'downloads');
+
 /** Server configuration constants */
 const CONFIG = Object.freeze({
     PORT: process.env.PORT || 3000,
-    DOWNLOADS_DIR: path.join(__dirname, 'downloads'),
+    DOWNLOADS_DIR,
+    // Where active torrents write; relative paths are inside the downloads directory
+    INCOMPLETE_DIR: path.resolve(DOWNLOADS_DIR, process.env.INCOMPLETE_DIR || '.incomplete'),
+    // Directories outside the downloads directory that category save paths may point into
+    CATEGORY_ROOTS: Object.freeze(readListEnv('CATEGORY_ROOTS').map((root) => path.resolve(root))),
+    DATA_DIR,
+    STATE_FILE: path.join(DATA_DIR, 'downloads.json'),
+    SETTINGS_FILE: path.join(DATA_DIR, 'settings.json'),
+    CATEGORIES_FILE: path.join(DATA_DIR, 'categories.json'),
+    FEEDS_FILE: path.join(DATA_DIR, 'feeds.json'),
+    FEED_HISTORY_FILE: path.join(DATA_DIR, 'feed-history.json'),
+    SCHEDULE_FILE: path.join(DATA_DIR, 'schedule.json'),
+    HOOKS_FILE: path.join(DATA_DIR, 'hooks.json'),
+    HISTORY_FILE: path.join(DATA_DIR, 'history.json'),
+    TORRENTS_DIR: path.join(DATA_DIR, 'torrents'),
+    STATE_SAVE_DELAY: 1000, // ms
+    SEED_ON_RESTORE: process.env.SEED_ON_RESTORE === 'true',
     PROGRESS_UPDATE_INTERVAL: 1000, // ms
+    SPEED_SMOOTHING: 0.1, // weight of each progress update's speed in the averaged download speed
     MAX_MAGNET_LENGTH: 2000,
+    MAX_MAGNET_FILE_INDEX: 65535, // highest file index accepted in a magnet's "so" parameter
+    MAX_TORRENT_FILE_SIZE: 5 * 1024 * 1024, // bytes
+    STREAM_EDGE_BYTES: 2 * 1024 * 1024, // bytes fetched first from each end of a streamed file
+    STREAM_STALL_TIMEOUT: 60000, // ms without data before a live stream is closed
+    MIN_PIECE_LENGTH: 16 * 1024, // bytes
+    MAX_PIECE_LENGTH: 16 * 1024 * 1024, // bytes
+    MAX_TORRENT_COMMENT_LENGTH: 1000,
+    MAX_CATEGORY_NAME_LENGTH: 50,
+    WATCH_DIR: process.env.WATCH_DIR ? path.resolve(process.env.WATCH_DIR) : path.join(__dirname, 'watch'),
+    WATCH_SCAN_INTERVAL: 10000, // ms between watch folder scans
+    WATCH_SETTLE_TIME: 2000, // ms a dropped file must stay unchanged before it is read
+    FEED_INTERVAL: readIntegerEnv('FEED_INTERVAL', 15) || 15, // default minutes between feed checks
+    FEED_POLL_TICK: 60000, // ms between checks for feeds that are due
+    FEED_FETCH_TIMEOUT: 30000, // ms
+    MAX_FEED_SIZE: 10 * 1024 * 1024, // bytes
+    FEED_HISTORY_LIMIT: 1000, // history entries kept
+    FEED_SEEN_LIMIT: 2000, // item IDs remembered per feed so items are evaluated once
+    METADATA_TIMEOUT: 5 * 60 * 1000, // ms to wait for a previewed magnet's metadata
+    METADATA_EXPIRY: 30 * 60 * 1000, // ms an unconfirmed metadata preview is kept
+    SCHEDULE_CHECK_INTERVAL: 30000, // ms between checks of the schedule mode
+    DISK_CHECK_INTERVAL: 15000, // ms between free disk space checks
+    DISK_RESUME_MARGIN: 256 * 1024 * 1024, // bytes above the reserve before downloads paused for low space resume
+    // Shell command hooks run anything the API is given, so they must be allowed explicitly
+    HOOK_COMMANDS_ENABLED: process.env.ENABLE_HOOK_COMMANDS === 'true',
+    MAX_HOOK_TIMEOUT: 600, // seconds
+    MAX_HOOK_RETRIES: 10,
+    HOOK_TIMEOUT: Math.min(readIntegerEnv('HOOK_TIMEOUT', 30) || 30, 600), // default seconds a hook may run
+    HOOK_RETRIES: Math.min(readIntegerEnv('HOOK_RETRIES', 2), 10), // default retries after a failed hook
+    HOOK_RETRY_DELAY: 5000, // ms
+    MAX_HOOK_COMMAND_LENGTH: 2000,
+    MAX_HOOK_FILE_LIST: 64 * 1024, // characters of the TORRENT_FILES variable
+    HOOK_OUTPUT_LIMIT: 1000, // characters of output kept per hook result
+    HOOK_RESULTS_LIMIT: 20, // hook results kept per download
+    HISTORY_LIMIT: 5000, // history entries kept, not counting downloads still in the list
 });
 
 /** HTTP status codes */
@@ -38,9 +99,55 @@ const HTTP_STATUS = Object.freeze({
     OK: 200,
     BAD_REQUEST: 400,
     NOT_FOUND: 404,
+    CONFLICT: 409,
     INTERNAL_ERROR: 500,
 });
 
+/** Actions taken when a torrent reaches its seeding goal */
+const SEED_LIMIT_ACTIONS = Object.freeze(['pause', 'remove', 'remove-files']);
+
+/** Actions taken when a new torrent does not fit in the free disk space */
+const DISK_FULL_ACTIONS = Object.freeze(['queue', 'refuse']);
+
+/** Default runtime settings, changeable through the settings API (0 means unlimited) */
+const DEFAULT_SETTINGS = Object.freeze({
+    maxActiveDownloads: readIntegerEnv('MAX_ACTIVE_DOWNLOADS', 3),
+    maxActiveSeeds: readIntegerEnv('MAX_ACTIVE_SEEDS', 5),
+    // Bandwidth limits in bytes per second
+    downloadLimit: readIntegerEnv('DOWNLOAD_LIMIT', 0),
+    uploadLimit: readIntegerEnv('UPLOAD_LIMIT', 0),
+    altDownloadLimit: readIntegerEnv('ALT_DOWNLOAD_LIMIT', 0),
+    altUploadLimit: readIntegerEnv('ALT_UPLOAD_LIMIT', 0),
+    altSpeedEnabled: false,
+    // Default seeding policy (0 disables a limit)
+    seedRatioLimit: readNumberEnv('SEED_RATIO_LIMIT', 0),
+    seedTimeLimit: readIntegerEnv('SEED_TIME_LIMIT', 0),
+    seedLimitAction: SEED_LIMIT_ACTIONS.includes(process.env.SEED_LIMIT_ACTION)
+        ? process.env.SEED_LIMIT_ACTION
+        : 'pause',
+    // Free space in MB kept on the downloads volume
+    diskReserve: readIntegerEnv('DISK_RESERVE', 1024),
+    diskFullAction: DISK_FULL_ACTIONS.includes(process.env.DISK_FULL_ACTION)
+        ? process.env.DISK_FULL_ACTION
+        : 'queue',
+    // New downloads write to the incomplete directory and move to their save path when done
+    useIncompleteDir: process.env.USE_INCOMPLETE_DIR !== 'false',
+    // Trackers added to every torrent added from a magnet link
+    extraTrackers: readListEnv('EXTRA_TRACKERS').filter(isValidTrackerUrl),
+});
+
+/** Settings that affect the global bandwidth limits */
+const BANDWIDTH_SETTINGS = Object.freeze([
+    'downloadLimit', 'uploadLimit', 'altDownloadLimit', 'altUploadLimit', 'altSpeedEnabled',
+]);
+
+/** Piece selection priorities for individual files */
+const FILE_PRIORITIES = Object.freeze({
+    high: 1,
+    normal: 0,
+    low: -1,
+});
+
 // =============================================================================
 // INITIALIZATION
 // =============================================================================
@@ -62,9 +169,91 @@ const activeDownloads = new Map();
 /** Map to store progress intervals for cleanup */
 const progressIntervals = new Map();
 
-// Ensure downloads directory exists
-if (!fs.existsSync(CONFIG.DOWNLOADS_DIR)) {
-    fs.mkdirSync(CONFIG.DOWNLOADS_DIR, { recursive: true });
+/** Magnets whose metadata is fetched for preview, keyed by preview ID */
+const pendingMetadata = new Map();
+
+/** Ordered IDs of downloads waiting for a free download slot */
+const downloadQueue = [];
+
+/** Tracker clients whose announce outcomes are recorded on their download */
+const watchedTrackerClients = new WeakSet();
+
+/** Current runtime settings, overlaid with data/settings.json on startup */
+const settings = { ...DEFAULT_SETTINGS };
+
+/** User-defined categories by name, loaded from data/categories.json on startup */
+const categories = new Map();
+
+/** Weekly schedule of speed modes, loaded from data/schedule.json on startup */
+const schedule = {
+    enabled: false,
+    days: createUniformWeek('full'),
+    override: null,
+};
+
+/** Hooks run on download events, loaded from data/hooks.json on startup */
+const hooks = {
+    timeout: CONFIG.HOOK_TIMEOUT,
+    retries: CONFIG.HOOK_RETRIES,
+    added: { command: null, webhook: null },
+    complete: { command: null, webhook: null },
+    error: { command: null, webhook: null },
+};
+
+/** Schedule mode currently applied (null until the schedule is first applied) */
+let appliedScheduleMode = null;
+
+/** Interval that applies schedule mode changes */
+let scheduleInterval = null;
+
+/** Interval that checks free disk space */
+let diskMonitorInterval = null;
+
+/** Whether free disk space was under the reserve at the last check */
+let isDiskSpaceLow = false;
+
+/** Timer for the pending debounced state save */
+let stateSaveTimer = null;
+
+/** Interval that tracks seeding time and applies seeding policies */
+let seedingMonitorInterval = null;
+
+/** Interval that sends piece map changes to clients */
+let pieceMapInterval = null;
+
+/** Time of the previous seeding monitor run */
+let lastSeedingCheck = Date.now();
+
+/** Interval and fs.watch handle of the watch folder */
+let watchFolderInterval = null;
+let watchFolderWatcher = null;
+
+/** Whether a watch folder scan is running, so overlapping triggers are skipped */
+let isScanningWatchFolder = false;
+
+/** Configured RSS/Atom feeds, loaded from data/feeds.json on startup */
+const feeds = [];
+
+/** Evaluated feed items, newest first */
+const feedHistory = [];
+
+/** Interval that checks feeds whose poll interval has elapsed */
+let feedPollInterval = null;
+
+/**
+ * Every download ever added, newest first, loaded from data/history.json on startup.
+ * Entries dropped beyond the history limit live on in the trimmed totals.
+ */
+const history = {
+    entries: [],
+    trimmed: { added: 0, completed: 0, downloaded: 0, uploaded: 0, downloadingTime: 0 },
+};
+
+// Ensure downloads and state directories exist
+for (const dir of [CONFIG.DOWNLOADS_DIR, CONFIG.DATA_DIR, CONFIG.TORRENTS_DIR]) {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
 }
 
 // =============================================================================
@@ -72,6 +261,15 @@ if (!fs.existsSync(CONFIG.DOWNLOADS_DIR)) {
 // =============================================================================
 
 app.use(express.json({ limit: '10kb' }));
+
+/** Multipart parser for .torrent uploads, kept in memory since they are small */
+const torrentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: CONFIG.MAX_TORRENT_FILE_SIZE,
+        files: 1,
+    },
+});
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Note: We handle /files routes manually for streaming support below
@@ -183,24 +381,212 @@ checkFFmpeg().then((available) => {
 });
 
 // =============================================================================
-// HELPER FUNCTIONS
+// MAGNET LINKS
 // =============================================================================
 
+/** RFC 4648 base32 alphabet used by base32-encoded info hashes */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Converts a base32 info hash to hex
+ * @param {string} value - 32 character base32 string
+ * @returns {string} 40 character hex string
+ */
+function base32ToHex(value) {
+    let bits = '';
+
+    for (const char of value.toUpperCase()) {
+        bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+    }
+
+    return bits.match(/.{4}/g).map((nibble) => parseInt(nibble, 2).toString(16)).join('');
+}
+
+/**
+ * Parses the info hash of an xt (exact topic) parameter
+ * @param {string} value - Parameter value, e.g. "urn:btih:<hash>"
+ * @returns {string|null} Lowercase hex info hash, or null for non-BitTorrent v1 topics
+ * @throws {Error} If the btih hash is malformed
+ */
+function parseExactTopic(value) {
+    const match = /^urn:btih:(.*)$/i.exec(value);
+
+    if (!match) {
+        return null;
+    }
+
+    const hash = match[1];
+
+    if (/^[0-9a-f]{40}$/i.test(hash)) {
+        return hash.toLowerCase();
+    }
+
+    if (/^[a-z2-7]{32}$/i.test(hash)) {
+        return base32ToHex(hash);
+    }
+
+    throw new Error(`"xt" info hash must be 40 hex or 32 base32 characters, got "${hash}"`);
+}
+
+/**
+ * Parses a select-only (so) parameter such as "0,2,4-6"
+ * @param {string} value - Parameter value
+ * @returns {Array<number>} Sorted unique file indexes
+ * @throws {Error} If an entry is not an index or an ascending range
+ */
+function parseSelectOnly(value) {
+    const indexes = new Set();
+
+    for (const entry of value.split(',')) {
+        const match = /^(\d+)(?:-(\d+))?$/.exec(entry.trim());
+        const start = match && Number(match[1]);
+        const end = match && Number(match[2] ?? match[1]);
+
+        if (!match || end < start || end > CONFIG.MAX_MAGNET_FILE_INDEX) {
+            throw new Error(`"so" must list file indexes or ranges like 0,2,4-6, got "${entry}"`);
+        }
+
+        for (let index = start; index <= end; index++) {
+            indexes.add(index);
+        }
+    }
+
+    return [...indexes].sort((a, b) => a - b);
+}
+
 /**
- * Validates a magnet link format
- * @param {string} magnetLink - The magnet link to validate
- * @returns {boolean} True if valid, false otherwise
+ * Parses and validates a magnet link
+ * @param {string} magnetLink - Magnet link
+ * @returns {{infoHash: string, name: string|null, announce: Array<string>, urlList: Array<string>,
+ *     length: number|null, select: Array<number>|null}} Parsed magnet
+ * @throws {Error} With a message describing the first invalid part of the link
  */
-function isValidMagnetLink(magnetLink) {
+function parseMagnetLink(magnetLink) {
     if (!magnetLink || typeof magnetLink !== 'string') {
-        return false;
+        throw new Error('Magnet link is required');
     }
-    
+
     if (magnetLink.length > CONFIG.MAX_MAGNET_LENGTH) {
-        return false;
+        throw new Error(`Magnet link is longer than ${CONFIG.MAX_MAGNET_LENGTH} characters`);
     }
-    
-    return magnetLink.startsWith('magnet:?');
+
+    if (!/^magnet:\?/i.test(magnetLink)) {
+        throw new Error('Magnet link must start with "magnet:?"');
+    }
+
+    const infoHashes = new Set();
+    const magnet = { infoHash: null, name: null, announce: [], urlList: [], length: null, select: null };
+
+    for (const param of magnetLink.slice('magnet:?'.length).split('&')) {
+        if (!param) {
+            continue;
+        }
+
+        const separator = param.indexOf('=');
+        // Repeated parameters may be numbered, e.g. tr.1, tr.2
+        const key = (separator === -1 ? param : param.slice(0, separator)).toLowerCase().replace(/\.\d+$/, '');
+        let value = '';
+
+        try {
+            if (separator !== -1) {
+                value = decodeURIComponent(param.slice(separator + 1).replace(/\+/g, ' ')).trim();
+            }
+        } catch {
+            throw new Error(`"${key}" is not valid percent-encoding`);
+        }
+
+        if (!value) {
+            throw new Error(`"${key}" has no value`);
+        }
+
+        switch (key) {
+        case 'xt': {
+            const infoHash = parseExactTopic(value);
+
+            if (infoHash) {
+                infoHashes.add(infoHash);
+            }
+            break;
+        }
+        case 'dn':
+            magnet.name = value;
+            break;
+        case 'tr':
+            if (!isValidTrackerUrl(value)) {
+                throw new Error(`"tr" must be an http(s), udp or ws(s) tracker URL, got "${value}"`);
+            }
+            magnet.announce.push(value);
+            break;
+        case 'ws':
+            if (!/^https?:\/\/[^/]/i.test(value)) {
+                throw new Error(`"ws" must be an http(s) web seed URL, got "${value}"`);
+            }
+            magnet.urlList.push(value);
+            break;
+        case 'xl':
+            if (!/^\d+$/.test(value) || !Number.isSafeInteger(Number(value))) {
+                throw new Error(`"xl" must be a length in bytes, got "${value}"`);
+            }
+            magnet.length = Number(value);
+            break;
+        case 'so':
+            magnet.select = parseSelectOnly(value);
+            break;
+        default:
+            // Other parameters (x.pe, xs, kt, ...) are passed on to WebTorrent untouched
+            break;
+        }
+    }
+
+    if (infoHashes.size === 0) {
+        throw new Error('Magnet link has no "xt=urn:btih:" info hash');
+    }
+
+    if (infoHashes.size > 1) {
+        throw new Error('Magnet link has more than one "xt=urn:btih:" info hash');
+    }
+
+    [magnet.infoHash] = infoHashes;
+    magnet.announce = [...new Set(magnet.announce)];
+    magnet.urlList = [...new Set(magnet.urlList)];
+
+    return magnet;
+}
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Parses and validates the contents of a .torrent file
+ * @param {Buffer} buffer - Raw .torrent file contents
+ * @returns {Promise<Object>} Parsed torrent
+ * @throws {Error} If the buffer is not a valid .torrent file
+ */
+async function parseTorrentFile(buffer) {
+    let parsed;
+
+    try {
+        parsed = await parseTorrent(buffer);
+    } catch (error) {
+        throw new Error(`Invalid torrent file: ${error.message}`);
+    }
+
+    // parse-torrent also accepts bare info hashes, so require a real info dictionary
+    if (!parsed || !parsed.info || !parsed.infoHash) {
+        throw new Error('Invalid torrent file: missing info dictionary');
+    }
+
+    return parsed;
+}
+
+/**
+ * Checks whether a status means all wanted data is on disk
+ * @param {string} status - Download status
+ * @returns {boolean} True for completed and seeding downloads
+ */
+function isFinishedStatus(status) {
+    return status === 'completed' || status === 'seeding';
 }
 
 /**
@@ -215,13 +601,30 @@ function serializeDownload(id, download) {
         name: download.name,
         progress: download.progress,
         downloadSpeed: download.downloadSpeed,
+        averageDownloadSpeed: download.status === 'downloading' ? Math.round(download.averageDownloadSpeed) : 0,
+        timeRemaining: getTimeRemaining(download),
         uploadSpeed: download.uploadSpeed,
         peers: download.peers,
         status: download.status,
-        files: download.files,
+        files: serializeFiles(id, download),
+        category: download.options.category || null,
         size: download.size,
         downloaded: download.downloaded,
         error: download.error || null,
+        queuePosition: getQueuePosition(id),
+        downloadLimit: download.options.downloadLimit || 0,
+        uploadLimit: download.options.uploadLimit || 0,
+        uploaded: getUploaded(download),
+        ratio: Math.round(getRatio(download) * 1000) / 1000,
+        seedingTime: Math.floor(download.seedingTime),
+        seedPolicy: getSeedPolicy(download),
+        pausedBySchedule: download.pausedBySchedule,
+        diskSpaceHold: download.diskSpaceHold,
+        lastHookResult: download.hookResults.at(-1) || null,
+        checkProgress: download.checkProgress,
+        verifyResult: download.verifyResult,
+        addedAt: download.addedAt,
+        completedAt: download.completedAt,
     };
 }
 
@@ -243,9 +646,10 @@ function getAllDownloads() {
  * Recursively walks a directory and collects file information
  * @param {string} dir - Directory path
  * @param {string} basePath - Base path for relative paths
+ * @param {string|null} [skipDir] - Absolute path of a directory to leave out
  * @returns {Array} Array of file objects
  */
-function walkDirectory(dir, basePath = '') {
+function walkDirectory(dir, basePath = '', skipDir = null) {
     const files = [];
     
     try {
@@ -259,7 +663,9 @@ function walkDirectory(dir, basePath = '') {
                 const stat = fs.statSync(fullPath);
                 
                 if (stat.isDirectory()) {
-                    files.push(...walkDirectory(fullPath, relativePath));
+                    if (fullPath !== skipDir) {
+                        files.push(...walkDirectory(fullPath, relativePath, skipDir));
+                    }
                 } else {
                     files.push({
                         name: item,
@@ -294,544 +700,6681 @@ function cleanupDownload(downloadId) {
 
 /**
  * Creates a new download entry
- * @param {Object} torrent - WebTorrent torrent object
+ * @param {Object|null} torrent - WebTorrent torrent object (null when not loaded into the client)
+ * @param {Object} [record] - Persisted download record to restore from
  * @returns {Object} Download entry object
  */
-function createDownloadEntry(torrent) {
+function createDownloadEntry(torrent, record = {}) {
     return {
         torrent,
-        name: 'Loading metadata...',
-        progress: 0,
+        infoHash: record.infoHash || torrent?.infoHash || null,
+        magnetURI: record.magnetURI || null,
+        name: record.name || 'Loading metadata...',
+        progress: isFinishedStatus(record.status) ? 100 : 0,
         downloadSpeed: 0,
+        // Moving average of the download speed, which the time remaining is based on
+        averageDownloadSpeed: 0,
         uploadSpeed: 0,
         peers: 0,
-        status: 'downloading',
-        files: [],
-        size: 0,
-        downloaded: 0,
+        // Seeding restarts once the torrent is verified, so restored seeds begin as completed
+        status: isFinishedStatus(record.status) ? 'completed' : (record.status === 'paused' ? 'paused' : 'downloading'),
+        files: record.files || [],
+        size: record.size || 0,
+        downloaded: isFinishedStatus(record.status) ? record.size || 0 : 0,
+        // Uploads from earlier sessions, since torrent.uploaded starts at zero for every torrent instance
+        uploadedBefore: record.uploaded || 0,
+        // Same for downloads, as torrent.received counts only this session
+        receivedBefore: record.received || 0,
+        // Seconds spent downloading, for average download speeds
+        downloadingTime: record.downloadingTime || 0,
+        seedingTime: record.seedingTime || 0,
+        // Paused by a paused schedule block, and resumed when it ends
+        pausedBySchedule: record.pausedBySchedule === true,
+        // Why the download waits for disk space ('low-space' or 'insufficient'), if it does
+        diskSpaceHold: record.diskSpaceHold || null,
+        // Outcomes of the most recent hook runs
+        hookResults: record.hookResults || [],
+        // Percentage of pieces hashed while the status is 'checking'
+        checkProgress: null,
+        // Piece counts from the last forced check
+        verifyResult: record.verifyResult || null,
+        // Outcome of the last announces to each tracker, by announce URL
+        trackerStatus: new Map(),
+        dhtAnnouncedAt: null,
+        // Piece map last sent to clients, and the status it was built in
+        pieceMap: null,
+        pieceMapStatus: null,
         error: null,
+        addedAt: record.addedAt || Date.now(),
+        completedAt: record.completedAt || null,
+        options: record.options || {},
+        nextTransferAt: { download: 0, upload: 0 },
     };
 }
 
-// =============================================================================
-// TORRENT EVENT HANDLERS
-// =============================================================================
-
 /**
- * Sets up event handlers for a torrent
- * @param {string} downloadId - Download ID
- * @param {Object} torrent - WebTorrent torrent object
+ * Adds a torrent to the client and registers it as a download
+ * @param {string|Buffer} torrentId - Magnet link or .torrent file contents
+ * @param {Object} [record] - Persisted download record when restoring
+ * @returns {{id: string, torrent: Object}} Download ID and torrent
  */
-function setupTorrentEventHandlers(downloadId, torrent) {
-    // Metadata received - torrent info is available
-    torrent.on('metadata', () => {
-        const download = activeDownloads.get(downloadId);
-        
-        if (!download) return;
-        
-        download.name = torrent.name;
-        download.size = torrent.length;
-        download.files = torrent.files.map((file) => ({
-            name: file.name,
-            size: file.length,
-            path: file.path,
-        }));
-        
-        io.emit('download-update', serializeDownload(downloadId, download));
-    });
+function startDownload(torrentId, record = {}) {
+    const downloadId = record.id || uuidv4();
 
-    // Download progress update
-    torrent.on('download', () => {
-        const download = activeDownloads.get(downloadId);
-        
-        if (!download) return;
-        
-        download.progress = Math.round(torrent.progress * 100);
-        download.downloadSpeed = torrent.downloadSpeed;
-        download.uploadSpeed = torrent.uploadSpeed;
-        download.peers = torrent.numPeers;
-        download.downloaded = torrent.downloaded;
-    });
+    const isStartable = record.status !== 'paused' && !isFinishedStatus(record.status);
+    // New downloads wait out a paused schedule block like the others
+    const isScheduledPause = isStartable && appliedScheduleMode === 'paused';
+    // Without a free slot the torrent is loaded paused and waits in the queue
+    const shouldQueue = isStartable && !isScheduledPause && !hasFreeDownloadSlot();
 
-    // Download completed
-    torrent.on('done', () => {
-        cleanupDownload(downloadId);
-        
-        const download = activeDownloads.get(downloadId);
-        
-        if (!download) return;
-        
-        download.status = 'completed';
-        download.progress = 100;
-        download.files = torrent.files.map((file) => ({
-            name: file.name,
-            size: file.length,
-            path: file.path,
-            downloadUrl: `/files/${encodeURIComponent(file.path)}`,
-        }));
-        
-        io.emit('download-update', serializeDownload(downloadId, download));
-        console.log(`Download completed: ${download.name}`);
+    const torrent = torrentClient.add(torrentId, {
+        path: getDataPath(record.options),
+        paused: record.status === 'paused' || shouldQueue || isScheduledPause,
+        announce: record.options?.trackers,
+        // Set for torrents created from local data, which was hashed while creating them
+        skipVerify: record.skipVerify === true,
     });
 
-    // Error occurred
-    torrent.on('error', (err) => {
-        cleanupDownload(downloadId);
-        
-        const download = activeDownloads.get(downloadId);
-        
-        if (!download) return;
-        
-        download.status = 'error';
-        download.error = err.message;
-        
-        io.emit('download-update', serializeDownload(downloadId, download));
-        console.error(`Download error: ${err.message}`);
-    });
+    const download = createDownloadEntry(torrent, record);
 
-    // Set up progress interval for real-time updates
-    const progressInterval = setInterval(() => {
-        const download = activeDownloads.get(downloadId);
-        
-        if (download && download.status === 'downloading') {
-            io.emit('download-update', serializeDownload(downloadId, download));
+    if (!download.magnetURI && typeof torrentId === 'string') {
+        download.magnetURI = torrentId;
+    }
+
+    if (shouldQueue) {
+        download.status = 'queued';
+        downloadQueue.push(downloadId);
+    }
+
+    if (isScheduledPause) {
+        download.status = 'paused';
+        download.pausedBySchedule = true;
+    }
+
+    activeDownloads.set(downloadId, download);
+    addHistoryEntry(downloadId, download);
+    setupTorrentEventHandlers(downloadId, torrent);
+    scheduleStateSave();
+
+    return { id: downloadId, torrent };
+}
+
+/**
+ * Finds the download for an info hash
+ * @param {string} infoHash - Torrent info hash
+ * @returns {Array|null} [id, download] pair, or null if not found
+ */
+function findDownloadByInfoHash(infoHash) {
+    for (const [id, download] of activeDownloads) {
+        if ((download.torrent?.infoHash || download.infoHash) === infoHash) {
+            return [id, download];
         }
-    }, CONFIG.PROGRESS_UPDATE_INTERVAL);
-    
-    progressIntervals.set(downloadId, progressInterval);
+    }
+
+    return null;
+}
+
+/**
+ * Starts a download unless one with the same info hash exists, in which case
+ * the new trackers are merged into the existing download instead
+ * @param {string|Buffer} torrentId - Magnet link or .torrent file contents
+ * @param {Object} parsed - Parsed torrent or magnet (infoHash and announce)
+ * @param {Object} [record] - Extra download record fields
+ * @returns {{id: string, infoHash: string, alreadyExists: boolean, trackersAdded: Array<string>}} Result
+ */
+function addOrMergeDownload(torrentId, parsed, record = {}) {
+    const existing = findDownloadByInfoHash(parsed.infoHash);
+    const preview = findMetadataByInfoHash(parsed.infoHash);
+
+    // Adding the torrent supersedes its preview, whose swarm would otherwise block the add
+    if (preview) {
+        discardMetadata(preview[0]);
+    }
+
+    if (existing) {
+        const [id, download] = existing;
+        const trackersAdded = addTrackers(download, parsed.announce || []);
+
+        return { id, infoHash: parsed.infoHash, alreadyExists: true, trackersAdded };
+    }
+
+    // Torrents created from local data are seeded where the data already is
+    const incomplete = settings.useIncompleteDir && !record.skipVerify;
+    const { id } = startDownload(torrentId, {
+        ...record,
+        infoHash: parsed.infoHash,
+        options: incomplete ? { ...record.options, incomplete } : record.options,
+    });
+    runHooks(id, activeDownloads.get(id), 'added');
+
+    return { id, infoHash: parsed.infoHash, alreadyExists: false, trackersAdded: [] };
 }
 
 // =============================================================================
-// STREAMING ROUTES
+// PERSISTENCE
 // =============================================================================
 
 /**
- * GET /transcode/*
- * Transcodes unsupported formats to browser-compatible format using FFmpeg
+ * Builds the on-disk record for a download
+ * @param {string} id - Download ID
+ * @param {Object} download - Download object
+ * @returns {Object} Persistable download record
  */
-app.get('/transcode/*', (req, res) => {
+function createDownloadRecord(id, download) {
+    return {
+        id,
+        infoHash: download.torrent?.infoHash || download.infoHash,
+        magnetURI: download.magnetURI,
+        name: download.name,
+        status: download.status,
+        size: download.size,
+        files: download.files,
+        addedAt: download.addedAt,
+        completedAt: download.completedAt,
+        options: download.options,
+        queuePosition: getQueuePosition(id),
+        uploaded: getUploaded(download),
+        received: getReceived(download),
+        downloadingTime: download.downloadingTime,
+        seedingTime: download.seedingTime,
+        pausedBySchedule: download.pausedBySchedule,
+        diskSpaceHold: download.diskSpaceHold,
+        hookResults: download.hookResults,
+        verifyResult: download.verifyResult,
+    };
+}
+
+/**
+ * Gets the path of the cached .torrent file for an info hash
+ * @param {string} infoHash - Torrent info hash
+ * @returns {string} Absolute path of the .torrent file
+ */
+function getTorrentFilePath(infoHash) {
+    return path.join(CONFIG.TORRENTS_DIR, `${infoHash}.torrent`);
+}
+
+/**
+ * Caches a torrent's metadata so it can be restored without a metadata lookup
+ * @param {Object} torrent - WebTorrent torrent object with metadata
+ */
+function saveTorrentFile(torrent) {
+    if (!torrent.infoHash || !torrent.torrentFile) {
+        return;
+    }
+
     try {
-        const filePath = decodeURIComponent(req.params[0]);
-        const fullPath = path.join(CONFIG.DOWNLOADS_DIR, filePath);
-        
-        // Security: Prevent directory traversal
-        const normalizedPath = path.normalize(fullPath);
-        if (!normalizedPath.startsWith(CONFIG.DOWNLOADS_DIR)) {
-            return res.status(HTTP_STATUS.BAD_REQUEST).json({ 
-                error: 'Invalid file path' 
-            });
-        }
-        
-        // Check if file exists
-        if (!fs.existsSync(fullPath)) {
-            return res.status(HTTP_STATUS.NOT_FOUND).json({ 
-                error: 'File not found' 
-            });
-        }
-        
-        // Check if FFmpeg is available
-        if (!ffmpegAvailable) {
+        fs.writeFileSync(getTorrentFilePath(torrent.infoHash), torrent.torrentFile);
+    } catch (error) {
+        console.error(`Error saving torrent file: ${torrent.infoHash}`, error.message);
+    }
+}
+
+/**
+ * Deletes the cached .torrent file for an info hash
+ * @param {string} infoHash - Torrent info hash
+ */
+function removeTorrentFile(infoHash) {
+    if (!infoHash) {
+        return;
+    }
+
+    fs.rmSync(getTorrentFilePath(infoHash), { force: true });
+}
+
+/**
+ * Writes all downloads to the state file
+ */
+function saveState() {
+    clearTimeout(stateSaveTimer);
+    stateSaveTimer = null;
+
+    const records = [];
+
+    activeDownloads.forEach((download, id) => {
+        records.push(createDownloadRecord(id, download));
+    });
+
+    try {
+        // Write to a temporary file first so a crash never leaves a truncated state file
+        const tempFile = `${CONFIG.STATE_FILE}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(records, null, 2));
+        fs.renameSync(tempFile, CONFIG.STATE_FILE);
+    } catch (error) {
+        console.error('Error saving download state:', error.message);
+    }
+}
+
+/**
+ * Schedules a state save, coalescing bursts of changes into one write
+ */
+function scheduleStateSave() {
+    if (stateSaveTimer) {
+        return;
+    }
+
+    stateSaveTimer = setTimeout(saveState, CONFIG.STATE_SAVE_DELAY);
+}
+
+/**
+ * Reads persisted download records from the state file
+ * @returns {Array} Array of download records
+ */
+function loadState() {
+    if (!fs.existsSync(CONFIG.STATE_FILE)) {
+        return [];
+    }
+
+    try {
+        const records = JSON.parse(fs.readFileSync(CONFIG.STATE_FILE, 'utf8'));
+        return Array.isArray(records) ? records : [];
+    } catch (error) {
+        console.error('Error reading download state:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Restores a single persisted download
+ * @param {Object} record - Persisted download record
+ */
+function restoreDownload(record) {
+    // Completed torrents stay idle unless seeding on restore is enabled
+    if (isFinishedStatus(record.status) && !CONFIG.SEED_ON_RESTORE) {
+        const download = createDownloadEntry(null, record);
+
+        activeDownloads.set(record.id, download);
+        addHistoryEntry(record.id, download);
+        return;
+    }
+
+    const torrentFilePath = record.infoHash ? getTorrentFilePath(record.infoHash) : null;
+    const torrentId = torrentFilePath && fs.existsSync(torrentFilePath)
+        ? fs.readFileSync(torrentFilePath)
+        : record.magnetURI;
+
+    if (!torrentId) {
+        console.error(`Cannot restore download without a source: ${record.id}`);
+        return;
+    }
+
+    startDownload(torrentId, record);
+}
+
+/**
+ * Re-adds every persisted download to the client on startup
+ */
+function restoreDownloads() {
+    // Restore queued downloads last and in queue order so they keep their positions
+    const records = loadState().sort((a, b) => (
+        (a?.queuePosition || 0) - (b?.queuePosition || 0)
+    ));
+
+    for (const record of records) {
+        if (!record || !record.id) {
+            continue;
+        }
+
+        try {
+            restoreDownload(record);
+        } catch (error) {
+            console.error(`Error restoring download ${record.id}:`, error.message);
+        }
+    }
+
+    if (records.length > 0) {
+        console.log(`Restored ${activeDownloads.size} download(s) from ${CONFIG.STATE_FILE}`);
+    }
+}
+
+// =============================================================================
+// SETTINGS
+// =============================================================================
+
+/**
+ * Reads a non-negative integer from an environment variable
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value used when the variable is unset or invalid
+ * @returns {number} Parsed value
+ */
+function readIntegerEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Reads a comma-separated list from an environment variable
+ * @param {string} name - Variable name
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function readListEnv(name) {
+    return (process.env[name] || '')
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Reads a non-negative number from an environment variable
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value used when the variable is unset or invalid
+ * @returns {number} Parsed value
+ */
+function readNumberEnv(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Parses a setting that must be a non-negative number
+ * @param {*} value - Raw value
+ * @param {string} name - Setting name for error messages
+ * @returns {number} Parsed value
+ * @throws {Error} If the value is invalid
+ */
+function parseNonNegativeNumber(value, name) {
+    const number = Number(value);
+
+    if (typeof value === 'boolean' || value === '' || !Number.isFinite(number) || number < 0) {
+        throw new Error(`"${name}" must be a non-negative number`);
+    }
+
+    return number;
+}
+
+/**
+ * Parses a seeding limit action
+ * @param {*} value - Raw value
+ * @param {string} name - Setting name for error messages
+ * @returns {string} Action name
+ * @throws {Error} If the value is not a known action
+ */
+function parseSeedLimitAction(value, name) {
+    if (!SEED_LIMIT_ACTIONS.includes(value)) {
+        throw new Error(`"${name}" must be one of: ${SEED_LIMIT_ACTIONS.join(', ')}`);
+    }
+
+    return value;
+}
+
+/**
+ * Parses the action for torrents that do not fit on disk
+ * @param {*} value - Raw value
+ * @returns {string} Action name
+ * @throws {Error} If the value is not a known action
+ */
+function parseDiskFullAction(value) {
+    if (!DISK_FULL_ACTIONS.includes(value)) {
+        throw new Error(`"diskFullAction" must be one of: ${DISK_FULL_ACTIONS.join(', ')}`);
+    }
+
+    return value;
+}
+
+/**
+ * Parses a setting that must be a non-negative integer
+ * @param {*} value - Raw value
+ * @param {string} name - Setting name for error messages
+ * @returns {number} Parsed value
+ * @throws {Error} If the value is invalid
+ */
+function parseNonNegativeInteger(value, name) {
+    const number = Number(value);
+
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`"${name}" must be a non-negative integer`);
+    }
+
+    return number;
+}
+
+/**
+ * Parses a setting that must be a boolean
+ * @param {*} value - Raw value
+ * @param {string} name - Setting name for error messages
+ * @returns {boolean} Parsed value
+ * @throws {Error} If the value is invalid
+ */
+function parseBoolean(value, name) {
+    if (typeof value !== 'boolean') {
+        throw new Error(`"${name}" must be a boolean`);
+    }
+
+    return value;
+}
+
+/** Validators for each setting, returning the normalized value or throwing */
+const SETTING_VALIDATORS = Object.freeze({
+    maxActiveDownloads: (value) => parseNonNegativeInteger(value, 'maxActiveDownloads'),
+    maxActiveSeeds: (value) => parseNonNegativeInteger(value, 'maxActiveSeeds'),
+    downloadLimit: (value) => parseNonNegativeInteger(value, 'downloadLimit'),
+    uploadLimit: (value) => parseNonNegativeInteger(value, 'uploadLimit'),
+    altDownloadLimit: (value) => parseNonNegativeInteger(value, 'altDownloadLimit'),
+    altUploadLimit: (value) => parseNonNegativeInteger(value, 'altUploadLimit'),
+    altSpeedEnabled: (value) => parseBoolean(value, 'altSpeedEnabled'),
+    seedRatioLimit: (value) => parseNonNegativeNumber(value, 'seedRatioLimit'),
+    seedTimeLimit: (value) => parseNonNegativeInteger(value, 'seedTimeLimit'),
+    seedLimitAction: (value) => parseSeedLimitAction(value, 'seedLimitAction'),
+    diskReserve: (value) => parseNonNegativeInteger(value, 'diskReserve'),
+    diskFullAction: (value) => parseDiskFullAction(value),
+    useIncompleteDir: (value) => parseBoolean(value, 'useIncompleteDir'),
+    extraTrackers: (value) => parseTrackerList(value, 'extraTrackers'),
+});
+
+/**
+ * Reads saved settings from disk into the current settings, keeping defaults for anything missing or invalid
+ */
+function loadSettings() {
+    if (!fs.existsSync(CONFIG.SETTINGS_FILE)) {
+        return;
+    }
+
+    try {
+        const stored = JSON.parse(fs.readFileSync(CONFIG.SETTINGS_FILE, 'utf8'));
+
+        for (const [key, validate] of Object.entries(SETTING_VALIDATORS)) {
+            if (stored[key] !== undefined) {
+                settings[key] = validate(stored[key]);
+            }
+        }
+    } catch (error) {
+        console.error('Error reading settings, using defaults:', error.message);
+    }
+}
+
+/**
+ * Writes the current settings to disk
+ */
+function saveSettings() {
+    try {
+        fs.writeFileSync(CONFIG.SETTINGS_FILE, JSON.stringify(settings, null, 2));
+    } catch (error) {
+        console.error('Error saving settings:', error.message);
+    }
+}
+
+/**
+ * Validates and applies a partial settings update
+ * @param {Object} changes - Settings to change
+ * @returns {Object} Updated settings
+ * @throws {Error} If any setting is unknown or invalid
+ */
+function updateSettings(changes) {
+    const validated = {};
+
+    for (const [key, value] of Object.entries(changes)) {
+        const validate = SETTING_VALIDATORS[key];
+
+        if (!validate) {
+            throw new Error(`Unknown setting: ${key}`);
+        }
+
+        validated[key] = validate(value);
+    }
+
+    Object.assign(settings, validated);
+    saveSettings();
+
+    if ('maxActiveDownloads' in validated) {
+        rebalanceQueue();
+    }
+
+    if ('maxActiveSeeds' in validated) {
+        rebalanceSeeds();
+    }
+
+    if (BANDWIDTH_SETTINGS.some((key) => key in validated)) {
+        applyBandwidthLimits();
+    }
+
+    io.emit('settings-update', settings);
+
+    return settings;
+}
+
+// =============================================================================
+// CATEGORIES
+// =============================================================================
+
+/** Prefix of file paths inside categories stored outside the downloads directory */
+const EXTERNAL_CATEGORY_PREFIX = '@';
+
+/**
+ * Gets the absolute save path of a category
+ * @param {string} name - Category name
+ * @returns {string} Absolute path
+ */
+function getCategoryPath(name) {
+    return path.resolve(CONFIG.DOWNLOADS_DIR, categories.get(name).savePath);
+}
+
+/**
+ * Checks whether a path is a directory or inside it
+ * @param {string} fullPath - Absolute path
+ * @param {string} dir - Absolute directory path
+ * @returns {boolean} True if the path is within the directory
+ */
+function isPathInside(fullPath, dir) {
+    // The filesystem root already ends with a separator
+    return fullPath === dir || fullPath.startsWith(dir.endsWith(path.sep) ? dir : dir + path.sep);
+}
+
+/**
+ * Checks whether a path is the downloads directory or inside it
+ * @param {string} fullPath - Absolute path
+ * @returns {boolean} True if the path is within the downloads directory
+ */
+function isInDownloadsDir(fullPath) {
+    return isPathInside(fullPath, CONFIG.DOWNLOADS_DIR);
+}
+
+/**
+ * Checks whether a path is the incomplete directory or inside it
+ * @param {string} fullPath - Absolute path
+ * @returns {boolean} True if the path is within the incomplete directory
+ */
+function isInIncompleteDir(fullPath) {
+    return isPathInside(fullPath, CONFIG.INCOMPLETE_DIR);
+}
+
+/**
+ * Resolves a category save path and checks that it may be used. Paths outside the
+ * downloads directory must be inside one of the CATEGORY_ROOTS set by the operator,
+ * since category files are listed, served and deleted through the API.
+ * @param {string} savePath - Absolute path, or relative to the downloads directory
+ * @returns {string} Absolute path
+ * @throws {Error} If the path is not allowed
+ */
+function resolveCategoryPath(savePath) {
+    const fullPath = path.resolve(CONFIG.DOWNLOADS_DIR, savePath);
+
+    // Also rules out the filesystem root and every other parent of these directories
+    if (isPathInside(CONFIG.DOWNLOADS_DIR, fullPath) || isPathInside(CONFIG.DATA_DIR, fullPath)
+        || isPathInside(fullPath, CONFIG.DATA_DIR)) {
+        throw new Error('"savePath" must not be or contain the downloads or data directory');
+    }
+
+    if (isInIncompleteDir(fullPath)) {
+        throw new Error('"savePath" must not be inside the incomplete directory');
+    }
+
+    if (!isInDownloadsDir(fullPath) && !CONFIG.CATEGORY_ROOTS.some((root) => isPathInside(fullPath, root))) {
+        throw new Error(CONFIG.CATEGORY_ROOTS.length > 0
+            ? `"savePath" must be inside the downloads directory or one of: ${CONFIG.CATEGORY_ROOTS.join(', ')}`
+            : '"savePath" must be inside the downloads directory (set CATEGORY_ROOTS to allow others)');
+    }
+
+    return fullPath;
+}
+
+/**
+ * Lists the categories whose save path is outside the downloads directory
+ * @returns {Array<Array>} [name, absolute path] pairs
+ */
+function getExternalCategories() {
+    return [...categories.keys()]
+        .map((name) => [name, getCategoryPath(name)])
+        .filter(([, categoryPath]) => !isInDownloadsDir(categoryPath));
+}
+
+/**
+ * Serializes all categories with their resolved paths and download counts
+ * @returns {Array<Object>} Categories sorted by name
+ */
+function serializeCategories() {
+    const downloadCounts = {};
+
+    activeDownloads.forEach((download) => {
+        const { category } = download.options;
+        downloadCounts[category] = (downloadCounts[category] || 0) + 1;
+    });
+
+    return [...categories.entries()]
+        .map(([name, category]) => ({
+            name,
+            savePath: category.savePath,
+            path: getCategoryPath(name),
+            downloads: downloadCounts[name] || 0,
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Validates a category name
+ * @param {*} name - Value to check
+ * @returns {string} Trimmed name
+ * @throws {Error} If the name is invalid
+ */
+function parseCategoryName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+
+    if (!trimmed || trimmed.length > CONFIG.MAX_CATEGORY_NAME_LENGTH) {
+        throw new Error(`Category name must be 1-${CONFIG.MAX_CATEGORY_NAME_LENGTH} characters`);
+    }
+
+    // Names become part of file paths for categories outside the downloads directory
+    if (/[\\/]/.test(trimmed) || trimmed.startsWith(EXTERNAL_CATEGORY_PREFIX)) {
+        throw new Error(`Category name cannot contain slashes or start with "${EXTERNAL_CATEGORY_PREFIX}"`);
+    }
+
+    return trimmed;
+}
+
+/**
+ * Reads categories from disk
+ */
+function loadCategories() {
+    if (!fs.existsSync(CONFIG.CATEGORIES_FILE)) {
+        return;
+    }
+
+    try {
+        const stored = JSON.parse(fs.readFileSync(CONFIG.CATEGORIES_FILE, 'utf8'));
+
+        for (const { name, savePath } of Array.isArray(stored) ? stored : []) {
+            const categoryName = parseCategoryName(name);
+
+            // Save paths no longer allowed, e.g. after CATEGORY_ROOTS changed, are dropped
+            try {
+                resolveCategoryPath(savePath || categoryName);
+                categories.set(categoryName, { savePath: savePath || categoryName });
+            } catch (error) {
+                console.error(`Skipping category ${categoryName}:`, error.message);
+            }
+        }
+    } catch (error) {
+        console.error('Error reading categories:', error.message);
+    }
+}
+
+/**
+ * Writes categories to disk and notifies clients
+ */
+function saveCategories() {
+    const stored = [...categories.entries()].map(([name, { savePath }]) => ({ name, savePath }));
+
+    try {
+        fs.writeFileSync(CONFIG.CATEGORIES_FILE, JSON.stringify(stored, null, 2));
+    } catch (error) {
+        console.error('Error saving categories:', error.message);
+    }
+
+    io.emit('categories-update', serializeCategories());
+}
+
+/**
+ * Creates a category or changes its save path; existing downloads stay where they are
+ * @param {string} name - Category name
+ * @param {string} [savePath] - Absolute path, or relative to the downloads directory (defaults to the name)
+ * @throws {Error} If the name or path is invalid
+ */
+function setCategory(name, savePath) {
+    const categoryName = parseCategoryName(name);
+
+    if (savePath !== undefined && savePath !== null && (typeof savePath !== 'string' || !savePath.trim())) {
+        throw new Error('"savePath" must be a non-empty string');
+    }
+
+    const category = { savePath: savePath?.trim() || categoryName };
+    const fullPath = resolveCategoryPath(category.savePath);
+
+    fs.mkdirSync(fullPath, { recursive: true });
+    categories.set(categoryName, category);
+    saveCategories();
+}
+
+/**
+ * Deletes a category; its downloads become uncategorized and keep their data in place
+ * @param {string} name - Category name
+ * @returns {boolean} True if the category existed
+ */
+function deleteCategory(name) {
+    if (!categories.delete(name)) {
+        return false;
+    }
+
+    activeDownloads.forEach((download, id) => {
+        if (download.options.category === name) {
+            delete download.options.category;
+            io.emit('download-update', serializeDownload(id, download));
+        }
+    });
+
+    scheduleStateSave();
+    saveCategories();
+
+    return true;
+}
+
+/**
+ * Gets the download options that place a new download in a category
+ * @param {string} [name] - Category name; empty for no category
+ * @returns {Object} Options with category and savePath, or an empty object
+ * @throws {Error} If the category does not exist
+ */
+function getCategoryOptions(name) {
+    if (!name) {
+        return {};
+    }
+
+    if (!categories.has(name)) {
+        throw new Error(`Unknown category: ${name}`);
+    }
+
+    return { category: name, savePath: getCategoryPath(name) };
+}
+
+/**
+ * Resolves a file path as listed by /api/files to an absolute path
+ * @param {string} filePath - Relative path; categories outside the downloads directory use "@<category>/..."
+ * @returns {string} Absolute path
+ * @throws {Error} If the path escapes its root directory
+ */
+function resolveFilePath(filePath) {
+    const [first, ...rest] = filePath.split(/[\\/]/);
+    const categoryName = first.slice(EXTERNAL_CATEGORY_PREFIX.length);
+    const isExternal = first.startsWith(EXTERNAL_CATEGORY_PREFIX) && categories.has(categoryName)
+        && !isInDownloadsDir(getCategoryPath(categoryName));
+
+    const root = isExternal ? getCategoryPath(categoryName) : CONFIG.DOWNLOADS_DIR;
+    const fullPath = path.resolve(root, isExternal ? rest.join('/') : filePath);
+
+    if (fullPath !== root && !fullPath.startsWith(root + path.sep)) {
+        throw new Error('Invalid file path');
+    }
+
+    return fullPath;
+}
+
+/**
+ * Gets the path under which a file on disk is listed by /api/files
+ * @param {string} fullPath - Absolute path
+ * @returns {string|null} Relative path, or null if the file is outside every known directory
+ */
+function getPublicFilePath(fullPath) {
+    if (isInDownloadsDir(fullPath)) {
+        return path.relative(CONFIG.DOWNLOADS_DIR, fullPath);
+    }
+
+    for (const [name, categoryPath] of getExternalCategories()) {
+        if (fullPath === categoryPath || fullPath.startsWith(categoryPath + path.sep)) {
+            return path.join(`${EXTERNAL_CATEGORY_PREFIX}${name}`, path.relative(categoryPath, fullPath));
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Finds the category whose directory holds a path
+ * @param {string} fullPath - Absolute path
+ * @returns {string|null} Category name, preferring the most specific directory
+ */
+function getCategoryForPath(fullPath) {
+    let match = null;
+    let matchLength = -1;
+
+    for (const name of categories.keys()) {
+        const categoryPath = getCategoryPath(name);
+
+        if (fullPath.startsWith(categoryPath + path.sep) && categoryPath.length > matchLength) {
+            match = name;
+            matchLength = categoryPath.length;
+        }
+    }
+
+    return match;
+}
+
+/**
+ * Lists downloaded files, optionally only those of one category
+ * @param {string} [category] - Category name
+ * @param {boolean} [includeIncomplete=false] - Also list the partial data in the incomplete directory
+ * @returns {Array} Array of file objects
+ */
+function listFiles(category, includeIncomplete = false) {
+    const roots = category
+        ? [getCategoryPath(category)]
+        : [CONFIG.DOWNLOADS_DIR, ...getExternalCategories().map(([, categoryPath]) => categoryPath)];
+    const skipDir = includeIncomplete ? null : CONFIG.INCOMPLETE_DIR;
+
+    return roots
+        .filter((root) => fs.existsSync(root))
+        .flatMap((root) => walkDirectory(root, getPublicFilePath(root), skipDir))
+        .map((file) => {
+            const fullPath = resolveFilePath(file.path);
+
+            return {
+                ...file,
+                category: getCategoryForPath(fullPath),
+                incomplete: isInIncompleteDir(fullPath),
+            };
+        });
+}
+
+/**
+ * Gets the directory a download's data is in: the incomplete directory until it
+ * has been moved to its save path
+ * @param {Object} [options] - Download options
+ * @returns {string} Absolute path
+ */
+function getDataPath(options = {}) {
+    return options.incomplete ? CONFIG.INCOMPLETE_DIR : options.savePath || CONFIG.DOWNLOADS_DIR;
+}
+
+/**
+ * Moves a download's data between directories, copying when they are on different devices
+ * @param {string} fromDir - Current save path
+ * @param {string} toDir - New save path
+ * @param {string} name - Top-level file or folder name of the torrent
+ */
+async function moveDownloadData(fromDir, toDir, name) {
+    const source = path.join(fromDir, name);
+    const destination = path.join(toDir, name);
+
+    if (!fs.existsSync(source)) {
+        return;
+    }
+
+    if (fs.existsSync(destination)) {
+        throw new Error(`"${name}" already exists in ${toDir}`);
+    }
+
+    await fs.promises.mkdir(toDir, { recursive: true });
+
+    try {
+        await fs.promises.rename(source, destination);
+    } catch (error) {
+        if (error.code !== 'EXDEV') {
+            throw error;
+        }
+
+        await fs.promises.cp(source, destination, { recursive: true });
+        await fs.promises.rm(source, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Changes the category of a download, moving its data to the category's save path.
+ * Loaded torrents are reloaded from the new location and re-verify their data.
+ * @param {string} id - Download ID
+ * @param {Object} download - Download object
+ * @param {string|null} category - Category name, or null for none
+ */
+async function setDownloadCategory(id, download, category) {
+    const { savePath = CONFIG.DOWNLOADS_DIR } = getCategoryOptions(category);
+    const currentPath = download.options.savePath || CONFIG.DOWNLOADS_DIR;
+    const options = { ...download.options, category: category || undefined, savePath };
+
+    // Data still in the incomplete directory moves straight to the new path when done
+    if (download.options.incomplete || path.resolve(currentPath) === path.resolve(savePath)) {
+        download.options = options;
+        scheduleStateSave();
+        io.emit('download-update', serializeDownload(id, download));
+        return;
+    }
+
+    const { torrent } = download;
+    const record = createDownloadRecord(id, download);
+    const torrentId = torrent?.torrentFile ? Buffer.from(torrent.torrentFile) : download.magnetURI;
+
+    // Set first, so the download cannot be removed while its torrent unloads either
+    download.status = 'moving';
+    io.emit('download-update', serializeDownload(id, download));
+
+    // Unload the torrent so nothing writes to the files while they move
+    if (torrent) {
+        cleanupDownload(id);
+        removeFromQueue(id);
+        await new Promise((resolve) => torrent.destroy(resolve));
+        download.torrent = null;
+    }
+
+    try {
+        await moveDownloadData(currentPath, savePath, download.name);
+        download.options = options;
+        download.files = download.files.map((file) => (file.downloadUrl ? {
+            ...file,
+            downloadUrl: `/files/${encodeURIComponent(getPublicFilePath(path.join(savePath, file.path)))}`,
+        } : file));
+        console.log(`Moved ${download.name} to ${savePath}`);
+    } finally {
+        download.status = record.status;
+
+        if (torrent) {
+            // Queued downloads rejoin the queue if there is still no free slot
+            startDownload(torrentId, {
+                ...record,
+                status: record.status === 'queued' ? 'downloading' : record.status,
+                options: download.options,
+            });
+            promoteQueuedDownloads();
+        }
+
+        scheduleStateSave();
+        io.emit('download-update', serializeDownload(id, activeDownloads.get(id)));
+    }
+}
+
+// =============================================================================
+// BANDWIDTH LIMITS
+// =============================================================================
+
+/**
+ * Gets the global limits currently in effect. Alternative speed mode and limited
+ * schedule blocks both use the alternative limits.
+ * @returns {{downloadLimit: number, uploadLimit: number}} Limits in bytes per second (0 = unlimited)
+ */
+function getEffectiveLimits() {
+    return settings.altSpeedEnabled || appliedScheduleMode === 'limited'
+        ? { downloadLimit: settings.altDownloadLimit, uploadLimit: settings.altUploadLimit }
+        : { downloadLimit: settings.downloadLimit, uploadLimit: settings.uploadLimit };
+}
+
+/**
+ * Gets the current bandwidth limits and total transfer speeds
+ * @returns {Object} Bandwidth status
+ */
+function getBandwidthStatus() {
+    return {
+        altSpeedEnabled: settings.altSpeedEnabled,
+        scheduleMode: appliedScheduleMode || 'full',
+        ...getEffectiveLimits(),
+        downloadSpeed: torrentClient.downloadSpeed,
+        uploadSpeed: torrentClient.uploadSpeed,
+    };
+}
+
+/**
+ * Applies the effective global limits to the torrent client and broadcasts them
+ */
+function applyBandwidthLimits() {
+    const { downloadLimit, uploadLimit } = getEffectiveLimits();
+
+    // WebTorrent uses -1 to disable throttling
+    torrentClient.throttleDownload(downloadLimit || -1);
+    torrentClient.throttleUpload(uploadLimit || -1);
+
+    io.emit('bandwidth-update', getBandwidthStatus());
+}
+
+/**
+ * Reserves transfer time for a chunk under a download's own rate limit
+ * @param {Object} download - Download object
+ * @param {string} direction - Either 'download' or 'upload'
+ * @param {number} bytes - Chunk size
+ * @returns {number} Milliseconds to wait before transferring the chunk
+ */
+function reserveBandwidth(download, direction, bytes) {
+    const limit = download.options[`${direction}Limit`];
+
+    if (!limit) {
+        return 0;
+    }
+
+    const now = Date.now();
+    const start = Math.max(now, download.nextTransferAt[direction]);
+
+    download.nextTransferAt[direction] = start + (bytes / limit) * 1000;
+
+    return start - now;
+}
+
+/**
+ * Applies a download's own rate limits to a peer connection.
+ * Incoming data is held back before the wire parses it, which slows the peer down through
+ * stream backpressure, and outgoing pieces are delayed before they are sent.
+ * @param {Object} wire - Peer wire
+ * @param {Object} download - Download object
+ */
+function throttleWire(wire, download) {
+    const receive = wire._write;
+    const sendPiece = wire.piece;
+
+    wire._write = (data, cb) => {
+        const delay = reserveBandwidth(download, 'download', data.length);
+
+        if (delay === 0) {
+            receive.call(wire, data, cb);
+        } else {
+            setTimeout(() => receive.call(wire, data, cb), delay);
+        }
+    };
+
+    wire.piece = (index, offset, buffer) => {
+        const delay = reserveBandwidth(download, 'upload', buffer.length);
+
+        if (delay === 0) {
+            sendPiece.call(wire, index, offset, buffer);
+            return;
+        }
+
+        setTimeout(() => {
+            if (!wire.destroyed) {
+                sendPiece.call(wire, index, offset, buffer);
+            }
+        }, delay);
+    };
+}
+
+/**
+ * Sets a download's own rate limits
+ * @param {Object} download - Download object
+ * @param {Object} limits - Limits in bytes per second ({ downloadLimit?, uploadLimit? }, 0 = no limit)
+ */
+function setDownloadLimits(download, limits) {
+    for (const direction of ['download', 'upload']) {
+        const key = `${direction}Limit`;
+
+        if (limits[key] !== undefined) {
+            download.options[key] = limits[key];
+            download.nextTransferAt[direction] = 0;
+        }
+    }
+
+    scheduleStateSave();
+}
+
+// =============================================================================
+// DOWNLOAD CONTROL
+// =============================================================================
+
+/**
+ * Stops all transfers of a torrent without destroying it
+ * @param {Object} torrent - WebTorrent torrent object
+ */
+function stopTorrent(torrent) {
+    // A paused torrent refuses new peers, so closing the open wires stops all piece requests
+    torrent.pause();
+    torrent.wires.slice().forEach((wire) => wire.destroy());
+}
+
+/**
+ * Restarts transfers of a stopped torrent
+ * @param {Object} torrent - WebTorrent torrent object
+ */
+function startTorrent(torrent) {
+    torrent.resume();
+
+    // Ask the trackers for peers right away instead of waiting for the next announce
+    torrent.discovery?.tracker?.update();
+}
+
+/**
+ * Pauses a download, dropping its peer connections but keeping the torrent loaded
+ * @param {string} id - Download ID
+ * @param {Object} download - Download object
+ * @returns {boolean} True if the download was paused
+ */
+function pauseDownload(id, download) {
+    const { torrent } = download;
+
+    if (!torrent || ['paused', 'error', 'checking'].includes(download.status)) {
+        return false;
+    }
+
+    const wasDownloading = download.status === 'downloading';
+
+    stopTorrent(torrent);
+    removeFromQueue(id);
+
+    download.status = 'paused';
+    download.downloadSpeed = 0;
+    download.uploadSpeed = 0;
+    download.peers = 0;
+
+    scheduleStateSave();
+    io.emit('download-update', serializeDownload(id, download));
+    console.log(`Download paused: ${download.name}`);
+
+    if (wasDownloading) {
+        promoteQueuedDownloads();
+    } else {
+        rebalanceSeeds();
+    }
+
+    return true;
+}
+
+/**
+ * Resumes a paused download
+ * @param {string} id - Download ID
+ * @param {Object} download - Download object
+ * @returns {boolean} True if the download was resumed
+ */
+function resumeDownload(id, download) {
+    const { torrent } = download;
+
+    if (!torrent || download.status !== 'paused') {
+        return false;
+    }
+
+    download.pausedBySchedule = false;
+    download.diskSpaceHold = null;
+    console.log(`Download resumed: ${download.name}`);
+
+    if (isSelectionComplete(download)) {
+        startTorrent(torrent);
+        download.status = 'downloading';
+        completeDownload(id, torrent);
+        return true;
+    }
+
+    if (!hasFreeDownloadSlot()) {
+        queueDownload(id, download);
+        return true;
+    }
+
+    startTorrent(torrent);
+    download.status = 'downloading';
+
+    scheduleStateSave();
+    io.emit('download-update', serializeDownload(id, download));
+
+    return true;
+}
+
+/**
+ * Removes a download, optionally deleting its data from disk
+ * @param {string} id - Download ID
+ * @param {Object} download - Download object
+ * @param {boolean} [deleteData=false] - Also delete the downloaded files
+ */
+function removeDownload(id, download, deleteData = false) {
+    cleanupDownload(id);
+
+    const torrentPath = path.join(getDataPath(download.options), download.name);
+    const deleteFiles = () => {
+        if (fs.existsSync(torrentPath)) {
+            fs.rmSync(torrentPath, { recursive: true, force: true });
+            console.log(`Files deleted: ${torrentPath}`);
+        }
+    };
+
+    if (download.torrent) {
+        // Delete files after torrent is destroyed
+        download.torrent.destroy(deleteData ? deleteFiles : undefined);
+    } else if (deleteData) {
+        deleteFiles();
+    }
+
+    recordHistoryRemoval(id, download, deleteData);
+    activeDownloads.delete(id);
+    removeFromQueue(id);
+    removeTorrentFile(download.infoHash);
+    scheduleStateSave();
+
+    io.emit('download-removed', { id });
+
+    promoteQueuedDownloads();
+    rebalanceSeeds();
+}
+
+// =============================================================================
+// QUEUE MANAGEMENT
+// =============================================================================
+
+/**
+ * Gets the 1-based queue position of a download
+ * @param {string} id - Download ID
+ * @returns {number|null} Queue position, or null if not queued
+ */
+function getQueuePosition(id) {
+    const index = downloadQueue.indexOf(id);
+    return index === -1 ? null : index + 1;
+}
+
+/**
+ * Removes a download from the queue if it is queued
+ * @param {string} id - Download ID
+ */
+function removeFromQueue(id) {
+    const index = downloadQueue.indexOf(id);
+
+    if (index !== -1) {
+        downloadQueue.splice(index, 1);
+        emitQueueUpdate();
+    }
+}
+
+/**
+ * Broadcasts updated queue positions for all queued downloads
+ */
+function emitQueueUpdate() {
+    for (const id of downloadQueue) {
+        const download = activeDownloads.get(id);
+
+        if (download) {
+            io.emit('download-update', serializeDownload(id, download));
+        }
+    }
+
+    scheduleStateSave();
+}
+
+/**
+ * Counts downloads currently using a download slot
+ * @returns {number} Number of active downloads
+ */
+function countActiveDownloads() {
+    let count = 0;
+
+    activeDownloads.forEach((download) => {
+        if (download.status === 'downloading') {
+            count++;
+        }
+    });
+
+    return count;
+}
+
+/**
+ * Checks whether another download may start
+ * @returns {boolean} True if a download slot is free
+ */
+function hasFreeDownloadSlot() {
+    return settings.maxActiveDownloads === 0 || countActiveDownloads() < settings.maxActiveDownloads;
+}
+
+/**
+ * Stops a download and puts it in the queue
+ * @param {string} id - Download ID
+ * @param {Object} download - Download object
+ * @param {boolean} [atFront=false] - Queue it ahead of everything else
+ */
+function queueDownload(id, download, atFront = false) {
+    stopTorrent(download.torrent);
+
+    download.status = 'queued';
+    download.downloadSpeed = 0;
+    download.uploadSpeed = 0;
+    download.peers = 0;
+
+    if (atFront) {
+        downloadQueue.unshift(id);
+    } else {
+        downloadQueue.push(id);
+    }
+
+    emitQueueUpdate();
+}
+
+/**
+ * Starts queued downloads while download slots are free
+ */
+function promoteQueuedDownloads() {
+    let promoted = false;
+
+    // Queued downloads stay queued through a paused schedule block or while disk space is low
+    if (appliedScheduleMode === 'paused' || isDiskSpaceLow) {
+        return;
+    }
+
+    while (downloadQueue.length > 0 && hasFreeDownloadSlot()) {
+        const id = downloadQueue.shift();
+        const download = activeDownloads.get(id);
+
+        if (!download || download.status !== 'queued') {
+            continue;
+        }
+
+        startTorrent(download.torrent);
+        download.status = 'downloading';
+        promoted = true;
+
+        io.emit('download-update', serializeDownload(id, download));
+        console.log(`Download started from queue: ${download.name}`);
+    }
+
+    if (promoted) {
+        emitQueueUpdate();
+    }
+}
+
+/**
+ * Moves active downloads back to the queue when over the limit, then fills free slots
+ */
+function rebalanceQueue() {
+    const limit = settings.maxActiveDownloads;
+
+    if (limit > 0) {
+        // Demote the most recently added downloads first
+        const active = [...activeDownloads.entries()]
+            .filter(([, download]) => download.status === 'downloading')
+            .sort(([, a], [, b]) => b.addedAt - a.addedAt);
+
+        for (const [id, download] of active.slice(0, Math.max(active.length - limit, 0))) {
+            queueDownload(id, download, true);
+        }
+    }
+
+    promoteQueuedDownloads();
+}
+
+/**
+ * Moves a queued download within the queue
+ * @param {string} id - Download ID
+ * @param {string} direction - One of up, down, top, bottom
+ * @returns {boolean} True if the download is queued and was moved
+ */
+function moveInQueue(id, direction) {
+    const index = downloadQueue.indexOf(id);
+
+    if (index === -1) {
+        return false;
+    }
+
+    const targets = {
+        up: Math.max(index - 1, 0),
+        down: Math.min(index + 1, downloadQueue.length - 1),
+        top: 0,
+        bottom: downloadQueue.length - 1,
+    };
+
+    downloadQueue.splice(index, 1);
+    downloadQueue.splice(targets[direction], 0, id);
+    emitQueueUpdate();
+
+    return true;
+}
+
+/**
+ * Gets the downloads that are currently seeding
+ * @returns {Array} Array of [id, download] pairs, oldest completion first
+ */
+function getActiveSeeds() {
+    return [...activeDownloads.entries()]
+        .filter(([, download]) => download.status === 'seeding')
+        .sort(([, a], [, b]) => (a.completedAt || 0) - (b.completedAt || 0));
+}
+
+/**
+ * Stops the oldest seeds when over the seeding limit, and restarts stopped seeds when under it
+ */
+function rebalanceSeeds() {
+    const limit = settings.maxActiveSeeds;
+    const seeds = getActiveSeeds();
+
+    if (limit > 0 && seeds.length > limit) {
+        for (const [id, download] of seeds.slice(0, seeds.length - limit)) {
+            stopTorrent(download.torrent);
+            download.status = 'completed';
+            download.uploadSpeed = 0;
+            download.peers = 0;
+
+            io.emit('download-update', serializeDownload(id, download));
+            console.log(`Seeding stopped (limit reached): ${download.name}`);
+        }
+        scheduleStateSave();
+        return;
+    }
+
+    let freeSlots = limit === 0 ? Infinity : limit - seeds.length;
+
+    activeDownloads.forEach((download, id) => {
+        // Completed entries without a torrent were restored without seeding and stay idle,
+        // and no seeding starts during a paused schedule block
+        if (freeSlots > 0 && download.status === 'completed' && download.torrent
+            && appliedScheduleMode !== 'paused') {
+            startTorrent(download.torrent);
+            download.status = 'seeding';
+            freeSlots--;
+
+            io.emit('download-update', serializeDownload(id, download));
+        }
+    });
+}
+
+// =============================================================================
+// SEEDING POLICIES
+// =============================================================================
+
+/**
+ * Gets the seeding policy of a download, falling back to the defaults in settings
+ * @param {Object} download - Download object
+ * @returns {{ratioLimit: number, timeLimit: number, action: string}} Policy (0 disables a limit)
+ */
+function getSeedPolicy(download) {
+    return {
+        ratioLimit: settings.seedRatioLimit,
+        timeLimit: settings.seedTimeLimit,
+        action: settings.seedLimitAction,
+        ...download.options.seedPolicy,
+    };
+}
+
+/**
+ * Gets the total bytes uploaded for a download across sessions
+ * @param {Object} download - Download object
+ * @returns {number} Uploaded bytes
+ */
+function getUploaded(download) {
+    return download.uploadedBefore + (download.torrent?.uploaded || 0);
+}
+
+/**
+ * Gets the share ratio of a download
+ * @param {Object} download - Download object
+ * @returns {number} Uploaded bytes divided by downloaded bytes
+ */
+function getRatio(download) {
+    const downloaded = download.torrent?.downloaded || download.downloaded;
+    return downloaded ? getUploaded(download) / downloaded : 0;
+}
+
+/**
+ * Checks whether a seeding download has reached its ratio or time goal
+ * @param {Object} download - Download object
+ * @returns {string|null} Description of the reached goal, or null
+ */
+function getReachedSeedGoal(download) {
+    const { ratioLimit, timeLimit } = getSeedPolicy(download);
+
+    if (ratioLimit > 0 && getRatio(download) >= ratioLimit) {
+        return `ratio ${ratioLimit}`;
+    }
+
+    if (timeLimit > 0 && download.seedingTime >= timeLimit * 60) {
+        return `${timeLimit} minutes of seeding`;
+    }
+
+    return null;
+}
+
+/**
+ * Updates seeding time and stats of seeding downloads and applies their policies
+ */
+function monitorSeeding() {
+    const now = Date.now();
+    const elapsed = (now - lastSeedingCheck) / 1000;
+
+    lastSeedingCheck = now;
+
+    for (const [id, download] of getActiveSeeds()) {
+        download.seedingTime += elapsed;
+        download.uploadSpeed = download.torrent.uploadSpeed;
+        download.peers = download.torrent.numPeers;
+
+        const goal = getReachedSeedGoal(download);
+
+        if (!goal) {
+            io.emit('download-update', serializeDownload(id, download));
+            continue;
+        }
+
+        const { action } = getSeedPolicy(download);
+        console.log(`Seeding goal reached (${goal}), applying "${action}": ${download.name}`);
+
+        if (action === 'pause') {
+            pauseDownload(id, download);
+        } else {
+            removeDownload(id, download, action === 'remove-files');
+        }
+    }
+}
+
+/**
+ * Sets or clears a download's own seeding policy
+ * @param {Object} download - Download object
+ * @param {Object} policy - Policy fields to set ({ ratioLimit?, timeLimit?, action? }, null clears a field)
+ * @throws {Error} If any field is invalid
+ */
+function setSeedPolicy(download, policy) {
+    const validators = {
+        ratioLimit: (value) => parseNonNegativeNumber(value, 'ratioLimit'),
+        timeLimit: (value) => parseNonNegativeInteger(value, 'timeLimit'),
+        action: (value) => parseSeedLimitAction(value, 'action'),
+    };
+    const seedPolicy = { ...download.options.seedPolicy };
+
+    for (const [key, value] of Object.entries(policy)) {
+        if (!validators[key]) {
+            throw new Error(`Unknown seeding policy field: ${key}`);
+        }
+
+        if (value === null) {
+            delete seedPolicy[key];
+        } else {
+            seedPolicy[key] = validators[key](value);
+        }
+    }
+
+    download.options.seedPolicy = seedPolicy;
+    scheduleStateSave();
+}
+
+// =============================================================================
+// DISK SPACE
+// =============================================================================
+
+/** Bytes per megabyte, the unit of the disk reserve setting */
+const BYTES_PER_MB = 1024 * 1024;
+
+/**
+ * Formats a byte count in whole megabytes for messages
+ * @param {number} bytes - Byte count
+ * @returns {string} Formatted size (e.g., "1536 MB")
+ */
+function formatMegabytes(bytes) {
+    return `${Math.ceil(Math.max(bytes, 0) / BYTES_PER_MB)} MB`;
+}
+
+/**
+ * Gets free and used space on the volume holding the downloads directory
+ * @returns {Object|null} Disk space in bytes, or null if the platform cannot report it
+ */
+function getDiskSpace() {
+    try {
+        const stats = fs.statfsSync(CONFIG.DOWNLOADS_DIR);
+        const reserve = settings.diskReserve * BYTES_PER_MB;
+        const free = stats.bavail * stats.bsize;
+
+        return {
+            path: CONFIG.DOWNLOADS_DIR,
+            total: stats.blocks * stats.bsize,
+            used: (stats.blocks - stats.bfree) * stats.bsize,
+            free,
+            reserve,
+            low: free < reserve,
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Gets how many bytes a download still has to write
+ * @param {Object} download - Download object
+ * @returns {number} Remaining bytes of the wanted files
+ */
+function getRemainingBytes(download) {
+    return Math.max(download.size - download.downloaded, 0);
+}
+
+/**
+ * Gets how many bytes the running downloads still have to write
+ * @param {string} [excludeId] - Download to leave out
+ * @returns {number} Remaining bytes
+ */
+function getCommittedBytes(excludeId) {
+    let committed = 0;
+
+    activeDownloads.forEach((download, id) => {
+        if (id !== excludeId && download.status === 'downloading') {
+            committed += getRemainingBytes(download);
+        }
+    });
+
+    return committed;
+}
+
+/**
+ * Pauses a download until there is disk space for it
+ * @param {string} id - Download ID
+ * @param {Object} download - Download object
+ * @param {string} reason - 'low-space' when free space fell under the reserve,
+ *   'insufficient' when the download's remaining data does not fit
+ */
+function holdForDiskSpace(id, download, reason) {
+    download.diskSpaceHold = reason;
+
+    if (!pauseDownload(id, download)) {
+        download.diskSpaceHold = null;
+    }
+}
+
+/**
+ * Checks that a download's remaining data fits in the free space minus the reserve,
+ * counting what the other running downloads still have to write, and queues or
+ * refuses it if not
+ * @param {string} id - Download ID
+ * @param {Object} download - Download object with metadata
+ * @returns {boolean} True if the download fits or free space is unknown
+ */
+function checkDiskSpace(id, download) {
+    const disk = getDiskSpace();
+
+    if (!disk) {
+        return true;
+    }
+
+    const needed = getRemainingBytes(download);
+    const available = disk.free - disk.reserve - getCommittedBytes(id);
+
+    if (needed <= available) {
+        return true;
+    }
+
+    const message = `Not enough disk space: needs ${formatMegabytes(needed)}, ${formatMegabytes(available)} available`;
+
+    if (settings.diskFullAction === 'queue') {
+        holdForDiskSpace(id, download, 'insufficient');
+        console.log(`${message}, waiting: ${download.name}`);
+        return false;
+    }
+
+    stopTorrent(download.torrent);
+    removeFromQueue(id);
+
+    download.status = 'error';
+    download.error = message;
+    download.downloadSpeed = 0;
+    download.peers = 0;
+
+    scheduleStateSave();
+    io.emit('download-update', serializeDownload(id, download));
+    console.log(`${message}, refused: ${download.name}`);
+
+    runHooks(id, download, 'error');
+    promoteQueuedDownloads();
+
+    return false;
+}
+
+/**
+ * Pauses all downloads when free space falls under the reserve, and resumes
+ * held downloads once there is room for them again
+ */
+function monitorDiskSpace() {
+    const disk = getDiskSpace();
+
+    if (!disk) {
+        return;
+    }
+
+    if (disk.low && !isDiskSpaceLow) {
+        console.log(`Free disk space under ${formatMegabytes(disk.reserve)}, pausing downloads`);
+    }
+
+    isDiskSpaceLow = disk.low;
+
+    if (disk.low) {
+        activeDownloads.forEach((download, id) => {
+            if (download.status === 'downloading') {
+                holdForDiskSpace(id, download, 'low-space');
+            }
+        });
+    } else if (appliedScheduleMode !== 'paused') {
+        // Downloads paused for low space resume together once there is some headroom,
+        // while those too large to fit wait until their remaining data fits
+        let available = disk.free - disk.reserve - getCommittedBytes();
+
+        activeDownloads.forEach((download, id) => {
+            const needed = download.diskSpaceHold === 'low-space'
+                ? CONFIG.DISK_RESUME_MARGIN
+                : getRemainingBytes(download);
+
+            if (download.diskSpaceHold && download.status === 'paused' && needed <= available) {
+                if (download.diskSpaceHold === 'insufficient') {
+                    available -= needed;
+                }
+
+                resumeDownload(id, download);
+            }
+        });
+    }
+
+    io.emit('disk-update', disk);
+}
+
+// =============================================================================
+// HOOKS
+// =============================================================================
+
+/** Download events that can run hooks */
+const HOOK_EVENTS = Object.freeze(['added', 'complete', 'error']);
+
+/**
+ * Validates the hook actions for one event
+ * @param {*} input - Requested actions ({ command?, webhook? })
+ * @param {string} event - Event name, for error messages
+ * @param {Object} [existing] - Actions being updated
+ * @returns {{command: string|null, webhook: string|null}} Validated actions
+ * @throws {Error} If an action is invalid
+ */
+function parseHookActions(input, event, existing = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error(`"${event}" must be an object with a command and/or webhook`);
+    }
+
+    const actions = { command: existing.command || null, webhook: existing.webhook || null };
+
+    if (input.command !== undefined) {
+        if (input.command !== null && typeof input.command !== 'string') {
+            throw new Error(`"${event}.command" must be a string or null`);
+        }
+
+        const command = input.command?.trim() || null;
+
+        if (command && !CONFIG.HOOK_COMMANDS_ENABLED) {
+            throw new Error('Command hooks are disabled; set ENABLE_HOOK_COMMANDS=true to allow them');
+        }
+
+        if (command?.length > CONFIG.MAX_HOOK_COMMAND_LENGTH) {
+            throw new Error(`"${event}.command" must be at most ${CONFIG.MAX_HOOK_COMMAND_LENGTH} characters`);
+        }
+
+        actions.command = command;
+    }
+
+    if (input.webhook !== undefined) {
+        if (input.webhook !== null && typeof input.webhook !== 'string') {
+            throw new Error(`"${event}.webhook" must be a URL or null`);
+        }
+
+        const webhook = input.webhook?.trim() || null;
+
+        if (webhook) {
+            let url;
+
+            try {
+                url = new URL(webhook);
+            } catch {
+                throw new Error(`"${event}.webhook" must be an http(s) URL`);
+            }
+
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                throw new Error(`"${event}.webhook" must be an http(s) URL`);
+            }
+
+            actions.webhook = url.href;
+        } else {
+            actions.webhook = null;
+        }
+    }
+
+    return actions;
+}
+
+/**
+ * Serializes the hook configuration for client transmission
+ * @returns {Object} Hook configuration
+ */
+function serializeHooks() {
+    return {
+        ...hooks,
+        commandsEnabled: CONFIG.HOOK_COMMANDS_ENABLED,
+        events: HOOK_EVENTS,
+    };
+}
+
+/**
+ * Reads the hook configuration from disk
+ */
+function loadHooks() {
+    if (!fs.existsSync(CONFIG.HOOKS_FILE)) {
+        return;
+    }
+
+    try {
+        const stored = JSON.parse(fs.readFileSync(CONFIG.HOOKS_FILE, 'utf8'));
+
+        Object.assign(hooks, parseHookSettings(stored));
+
+        HOOK_EVENTS.forEach((event) => {
+            if (stored[event]) {
+                // Commands stored while they were allowed are kept, but only run while they still are
+                hooks[event] = {
+                    command: typeof stored[event].command === 'string' ? stored[event].command : null,
+                    webhook: parseHookActions({ webhook: stored[event].webhook ?? null }, event).webhook,
+                };
+            }
+        });
+    } catch (error) {
+        console.error('Error reading hooks:', error.message);
+    }
+}
+
+/**
+ * Writes the hook configuration to disk
+ */
+function saveHooks() {
+    try {
+        fs.writeFileSync(CONFIG.HOOKS_FILE, JSON.stringify(hooks, null, 2));
+    } catch (error) {
+        console.error('Error saving hooks:', error.message);
+    }
+}
+
+/**
+ * Validates the timeout and retry count shared by all hooks
+ * @param {Object} input - Requested values ({ timeout?, retries? })
+ * @returns {Object} Validated values
+ * @throws {Error} If a value is invalid
+ */
+function parseHookSettings(input) {
+    const values = {};
+
+    if (input.timeout !== undefined) {
+        if (!Number.isInteger(input.timeout) || input.timeout < 1 || input.timeout > CONFIG.MAX_HOOK_TIMEOUT) {
+            throw new Error(`"timeout" must be a whole number of seconds between 1 and ${CONFIG.MAX_HOOK_TIMEOUT}`);
+        }
+
+        values.timeout = input.timeout;
+    }
+
+    if (input.retries !== undefined) {
+        if (!Number.isInteger(input.retries) || input.retries < 0 || input.retries > CONFIG.MAX_HOOK_RETRIES) {
+            throw new Error(`"retries" must be a whole number between 0 and ${CONFIG.MAX_HOOK_RETRIES}`);
+        }
+
+        values.retries = input.retries;
+    }
+
+    return values;
+}
+
+/**
+ * Validates and applies a partial hook configuration update
+ * @param {Object} changes - New values ({ timeout?, retries?, added?, complete?, error? })
+ * @throws {Error} If a value is unknown or invalid
+ */
+function updateHooks(changes) {
+    const validated = parseHookSettings(changes);
+
+    for (const key of Object.keys(changes)) {
+        if (HOOK_EVENTS.includes(key)) {
+            validated[key] = parseHookActions(changes[key], key, hooks[key]);
+        } else if (!['timeout', 'retries'].includes(key)) {
+            throw new Error(`Unknown hook setting: ${key}`);
+        }
+    }
+
+    Object.assign(hooks, validated);
+    saveHooks();
+}
+
+/**
+ * Collects the details of a download that are passed to its hooks
+ * @param {string} id - Download ID
+ * @param {Object} download - Download object
+ * @param {string} event - Event name
+ * @returns {Object} Hook payload
+ */
+function getHookPayload(id, download, event) {
+    const savePath = download.torrent?.path || getDataPath(download.options);
+
+    return {
+        event,
+        id,
+        name: download.name,
+        infoHash: download.torrent?.infoHash || download.infoHash,
+        savePath,
+        category: download.options.category || null,
+        size: download.size,
+        // Magnets added without a metadata preview have no file list yet
+        files: download.files
+            .filter((file, index) => getFileSelection(download, index).selected)
+            .map((file) => path.join(savePath, file.path)),
+        error: download.error || null,
+        timestamp: new Date().toISOString(),
+    };
+}
+
+/**
+ * Builds the environment variables a hook command receives
+ * @param {Object} payload - Hook payload
+ * @returns {Object} Environment variables
+ */
+function getHookEnvironment(payload) {
+    // Single environment strings are limited in size, so long file lists are cut short
+    let files = payload.files.join('\n');
+
+    if (files.length > CONFIG.MAX_HOOK_FILE_LIST) {
+        files = files.slice(0, files.lastIndexOf('\n', CONFIG.MAX_HOOK_FILE_LIST));
+    }
+
+    return {
+        ...process.env,
+        TORRENT_EVENT: payload.event,
+        TORRENT_ID: payload.id,
+        TORRENT_NAME: payload.name,
+        TORRENT_INFO_HASH: payload.infoHash || '',
+        TORRENT_SAVE_PATH: payload.savePath,
+        TORRENT_CATEGORY: payload.category || '',
+        TORRENT_SIZE: String(payload.size),
+        TORRENT_FILES: files,
+        TORRENT_FILE_COUNT: String(payload.files.length),
+        TORRENT_ERROR: payload.error || '',
+    };
+}
+
+/**
+ * Keeps the end of a hook's output, where errors usually are
+ * @param {string} output - Output text
+ * @returns {string} Trimmed output
+ */
+function trimHookOutput(output) {
+    const trimmed = output.trim();
+
+    return trimmed.length > CONFIG.HOOK_OUTPUT_LIMIT ? `…${trimmed.slice(-CONFIG.HOOK_OUTPUT_LIMIT)}` : trimmed;
+}
+
+/**
+ * Runs a hook command in a shell
+ * @param {string} command - Shell command
+ * @param {Object} payload - Hook payload
+ * @returns {Promise<string>} Command output
+ * @throws {Error} If the command fails or times out
+ */
+function runHookCommand(command, payload) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, {
+            shell: true,
+            cwd: fs.existsSync(payload.savePath) ? payload.savePath : CONFIG.DOWNLOADS_DIR,
+            env: getHookEnvironment(payload),
+            stdio: ['ignore', 'pipe', 'pipe'],
+            // Its own process group, so a timeout also ends the processes the shell started
+            detached: true,
+        });
+        let output = '';
+        let timedOut = false;
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+
+            try {
+                process.kill(-child.pid, 'SIGKILL');
+            } catch {
+                child.kill('SIGKILL');
+            }
+        }, hooks.timeout * 1000);
+
+        const collect = (data) => {
+            output = (output + data).slice(-CONFIG.HOOK_OUTPUT_LIMIT * 2);
+        };
+
+        child.stdout.on('data', collect);
+        child.stderr.on('data', collect);
+
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+
+        child.on('close', (code) => {
+            clearTimeout(timer);
+
+            if (timedOut) {
+                reject(new Error(`Timed out after ${hooks.timeout}s`));
+            } else if (code !== 0) {
+                const details = trimHookOutput(output);
+                reject(new Error(`Exited with code ${code}${details ? `: ${details}` : ''}`));
+            } else {
+                resolve(trimHookOutput(output));
+            }
+        });
+    });
+}
+
+/**
+ * Posts a hook payload to a webhook
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - Hook payload
+ * @returns {Promise<string>} Response status line
+ * @throws {Error} If the request fails, times out or gets an error status
+ */
+async function callWebhook(url, payload) {
+    let response;
+
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            signal: AbortSignal.timeout(hooks.timeout * 1000),
+            headers: { 'Content-Type': 'application/json', 'User-Agent': 'Torrent-Download' },
+            body: JSON.stringify(payload),
+        });
+    } catch (error) {
+        throw error.name === 'TimeoutError' ? new Error(`Timed out after ${hooks.timeout}s`) : error;
+    }
+
+    const status = `HTTP ${response.status} ${response.statusText}`.trim();
+    const body = trimHookOutput(await response.text().catch(() => ''));
+
+    if (!response.ok) {
+        throw new Error(body ? `${status}: ${body}` : status);
+    }
+
+    return status;
+}
+
+/**
+ * Runs one hook action, retrying after failures, and records the result on the download
+ * @param {string} id - Download ID
+ * @param {Object} download - Download object
+ * @param {string} type - 'command' or 'webhook'
+ * @param {string} target - Command or webhook URL
+ * @param {Object} payload - Hook payload
+ */
+async function runHookAction(id, download, type, target, payload) {
+    const result = { event: payload.event, type, target, startedAt: Date.now() };
+
+    for (let attempt = 1; attempt <= hooks.retries + 1; attempt++) {
+        try {
+            result.output = type === 'command'
+                ? await runHookCommand(target, payload)
+                : await callWebhook(target, payload);
+            result.ok = true;
+            result.error = null;
+        } catch (error) {
+            result.ok = false;
+            result.error = error.message;
+        }
+
+        result.attempts = attempt;
+
+        if (result.ok || attempt > hooks.retries) {
+            break;
+        }
+
+        await new Promise((resolve) => setTimeout(resolve, CONFIG.HOOK_RETRY_DELAY));
+    }
+
+    result.finishedAt = Date.now();
+    download.hookResults = [...download.hookResults, result].slice(-CONFIG.HOOK_RESULTS_LIMIT);
+
+    if (result.ok) {
+        console.log(`Hook ${payload.event} ${type} succeeded: ${download.name}`);
+    } else {
+        console.error(`Hook ${payload.event} ${type} failed for ${download.name}:`, result.error);
+    }
+
+    // The download may have been removed while the hook ran
+    if (activeDownloads.get(id) === download) {
+        scheduleStateSave();
+        io.emit('download-update', serializeDownload(id, download));
+    }
+}
+
+/**
+ * Runs the command and webhook configured for a download event in the background
+ * @param {string} id - Download ID
+ * @param {Object} download - Download object
+ * @param {string} event - Event name (added, complete or error)
+ */
+function runHooks(id, download, event) {
+    const { command, webhook } = hooks[event];
+
+    if (!command && !webhook) {
+        return;
+    }
+
+    // Taken now, so the hooks see the download as it was when the event happened
+    const payload = getHookPayload(id, download, event);
+
+    if (command && CONFIG.HOOK_COMMANDS_ENABLED) {
+        runHookAction(id, download, 'command', command, payload);
+    }
+
+    if (webhook) {
+        runHookAction(id, download, 'webhook', webhook, payload);
+    }
+}
+
+// =============================================================================
+// DOWNLOAD HISTORY
+// =============================================================================
+
+/**
+ * Gets the total bytes received for a download across sessions
+ * @param {Object} download - Download object
+ * @returns {number} Received bytes
+ */
+function getReceived(download) {
+    return download.receivedBefore + (download.torrent?.received || 0);
+}
+
+/**
+ * Reads the download history from disk
+ */
+function loadHistory() {
+    if (!fs.existsSync(CONFIG.HISTORY_FILE)) {
+        return;
+    }
+
+    try {
+        const stored = JSON.parse(fs.readFileSync(CONFIG.HISTORY_FILE, 'utf8'));
+
+        history.entries.push(...(Array.isArray(stored?.entries) ? stored.entries : []));
+        Object.assign(history.trimmed, stored?.trimmed);
+    } catch (error) {
+        console.error('Error reading download history:', error.message);
+    }
+}
+
+/**
+ * Writes the download history to disk
+ */
+function saveHistory() {
+    try {
+        fs.writeFileSync(CONFIG.HISTORY_FILE, JSON.stringify(history));
+    } catch (error) {
+        console.error('Error saving download history:', error.message);
+    }
+}
+
+/**
+ * Finds the history entry of a download
+ * @param {string} id - Download ID
+ * @returns {Object|undefined} History entry
+ */
+function findHistoryEntry(id) {
+    return history.entries.find((entry) => entry.id === id);
+}
+
+/**
+ * Copies a download's details and transfer counts into its history entry
+ * @param {Object} entry - History entry
+ * @param {Object} download - Download object
+ */
+function updateHistoryEntry(entry, download) {
+    Object.assign(entry, {
+        name: download.name,
+        infoHash: download.torrent?.infoHash || download.infoHash,
+        size: download.size,
+        category: download.options.category || null,
+        // A forced check that finds missing pieces clears completedAt until the download completes again
+        completedAt: download.completedAt || entry.completedAt || null,
+        downloaded: getReceived(download),
+        uploaded: getUploaded(download),
+        downloadingTime: Math.floor(download.downloadingTime),
+        status: download.status,
+        error: download.error || null,
+    });
+}
+
+/**
+ * Adds a download to the history, keeping it sorted newest first.
+ * Torrents reloaded under the same ID (restores, moves) keep their entry.
+ * @param {string} id - Download ID
+ * @param {Object} download - Download object
+ */
+function addHistoryEntry(id, download) {
+    if (findHistoryEntry(id)) {
+        return;
+    }
+
+    const entry = { id, addedAt: download.addedAt, removedAt: null, dataDeleted: false };
+    updateHistoryEntry(entry, download);
+
+    const index = history.entries.findIndex((other) => other.addedAt < entry.addedAt);
+    history.entries.splice(index === -1 ? history.entries.length : index, 0, entry);
+    saveHistory();
+}
+
+/**
+ * Records the completion of a download in its history entry
+ * @param {string} id - Download ID
+ * @param {Object} download - Download object
+ */
+function recordHistoryCompletion(id, download) {
+    const entry = findHistoryEntry(id);
+
+    if (entry) {
+        updateHistoryEntry(entry, download);
+        saveHistory();
+    }
+}
+
+/**
+ * Records the final state of a download as it is removed
+ * @param {string} id - Download ID
+ * @param {Object} download - Download object
+ * @param {boolean} dataDeleted - Whether its files were deleted with it
+ */
+function recordHistoryRemoval(id, download, dataDeleted) {
+    const entry = findHistoryEntry(id);
+
+    if (!entry) {
+        return;
+    }
+
+    updateHistoryEntry(entry, download);
+    entry.removedAt = Date.now();
+    entry.dataDeleted = dataDeleted;
+
+    trimHistory();
+    saveHistory();
+}
+
+/**
+ * Drops the oldest removed downloads beyond the history limit, adding them to the
+ * trimmed totals so lifetime statistics still count them
+ */
+function trimHistory() {
+    const { trimmed } = history;
+
+    while (history.entries.length > CONFIG.HISTORY_LIMIT) {
+        const index = history.entries.findLastIndex((entry) => entry.removedAt);
+
+        // Downloads still in the list are never dropped
+        if (index === -1) {
+            return;
+        }
+
+        const [entry] = history.entries.splice(index, 1);
+
+        trimmed.added++;
+        trimmed.completed += entry.completedAt ? 1 : 0;
+        trimmed.downloaded += entry.downloaded;
+        trimmed.uploaded += entry.uploaded;
+        trimmed.downloadingTime += entry.downloadingTime;
+    }
+}
+
+/**
+ * Serializes a history entry, with live values for downloads still in the list
+ * @param {Object} entry - History entry
+ * @returns {Object} Serialized history entry
+ */
+function serializeHistoryEntry(entry) {
+    const download = entry.removedAt ? null : activeDownloads.get(entry.id);
+
+    if (download) {
+        updateHistoryEntry(entry, download);
+    }
+
+    return {
+        ...entry,
+        active: Boolean(download),
+        averageSpeed: entry.downloadingTime ? Math.round(entry.downloaded / entry.downloadingTime) : 0,
+    };
+}
+
+/**
+ * Sums the history into lifetime statistics
+ * @returns {Object} Torrent counts, bytes transferred, time spent downloading and average download speed
+ */
+function getHistoryStats() {
+    const totals = { ...history.trimmed, active: 0 };
+
+    for (const entry of history.entries.map(serializeHistoryEntry)) {
+        totals.added++;
+        totals.completed += entry.completedAt ? 1 : 0;
+        totals.active += entry.active ? 1 : 0;
+        totals.downloaded += entry.downloaded;
+        totals.uploaded += entry.uploaded;
+        totals.downloadingTime += entry.downloadingTime;
+    }
+
+    return {
+        ...totals,
+        transferred: totals.downloaded + totals.uploaded,
+        averageSpeed: totals.downloadingTime ? Math.round(totals.downloaded / totals.downloadingTime) : 0,
+    };
+}
+
+// =============================================================================
+// SCHEDULER
+// =============================================================================
+
+/** Modes a schedule block can be in */
+const SCHEDULE_MODES = Object.freeze(['full', 'limited', 'paused']);
+
+/** Number of hour blocks in the weekly schedule */
+const HOURS_PER_WEEK = 7 * 24;
+
+/**
+ * Creates a week of hour blocks that all have the same mode
+ * @param {string} mode - Schedule mode
+ * @returns {Array<Array<string>>} Modes by day (0 = Sunday) and hour
+ */
+function createUniformWeek(mode) {
+    return Array.from({ length: 7 }, () => Array(24).fill(mode));
+}
+
+/**
+ * Validates a weekly schedule
+ * @param {*} days - Value to check
+ * @returns {Array<Array<string>>} Modes by day (0 = Sunday) and hour
+ * @throws {Error} If it is not 7 days of 24 known modes
+ */
+function parseScheduleDays(days) {
+    const isValid = Array.isArray(days) && days.length === 7 && days.every((hours) => (
+        Array.isArray(hours) && hours.length === 24 && hours.every((mode) => SCHEDULE_MODES.includes(mode))
+    ));
+
+    if (!isValid) {
+        throw new Error(`"days" must be 7 arrays (Sunday first) of 24 modes: ${SCHEDULE_MODES.join(', ')}`);
+    }
+
+    return days.map((hours) => [...hours]);
+}
+
+/**
+ * Gets the mode the weekly schedule sets for a point in time
+ * @param {number} time - Timestamp, evaluated in the server's time zone
+ * @returns {string} Schedule mode ('full' while the schedule is disabled)
+ */
+function getScheduledMode(time) {
+    if (!schedule.enabled) {
+        return 'full';
+    }
+
+    const date = new Date(time);
+    return schedule.days[date.getDay()][date.getHours()];
+}
+
+/**
+ * Finds the start of the next block with a different scheduled mode
+ * @param {number} [time] - Timestamp to search from
+ * @returns {{at: number, mode: string}|null} Next change, or null if the mode never changes
+ */
+function getNextScheduleChange(time = Date.now()) {
+    const current = getScheduledMode(time);
+    const hour = new Date(time);
+
+    hour.setMinutes(0, 0, 0);
+
+    for (let offset = 1; offset <= HOURS_PER_WEEK; offset++) {
+        const next = new Date(hour);
+        next.setHours(hour.getHours() + offset);
+
+        const mode = getScheduledMode(next.getTime());
+
+        if (mode !== current) {
+            return { at: next.getTime(), mode };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Gets the schedule mode in effect, taking a manual override into account
+ * @returns {string} Schedule mode
+ */
+function getScheduleMode() {
+    const { override } = schedule;
+
+    if (override && (override.until === null || Date.now() < override.until)) {
+        return override.mode;
+    }
+
+    return getScheduledMode(Date.now());
+}
+
+/**
+ * Gets the schedule state for clients
+ * @returns {Object} Schedule status
+ */
+function getScheduleStatus() {
+    return {
+        enabled: schedule.enabled,
+        mode: appliedScheduleMode || getScheduleMode(),
+        scheduledMode: getScheduledMode(Date.now()),
+        override: schedule.override,
+        nextChange: getNextScheduleChange(),
+    };
+}
+
+/**
+ * Reads the schedule from disk
+ */
+function loadSchedule() {
+    if (!fs.existsSync(CONFIG.SCHEDULE_FILE)) {
+        return;
+    }
+
+    try {
+        const stored = JSON.parse(fs.readFileSync(CONFIG.SCHEDULE_FILE, 'utf8'));
+
+        schedule.enabled = stored.enabled === true;
+        schedule.days = parseScheduleDays(stored.days);
+        schedule.override = SCHEDULE_MODES.includes(stored.override?.mode) ? stored.override : null;
+    } catch (error) {
+        console.error('Error reading schedule:', error.message);
+    }
+}
+
+/**
+ * Writes the schedule to disk
+ */
+function saveSchedule() {
+    try {
+        fs.writeFileSync(CONFIG.SCHEDULE_FILE, JSON.stringify(schedule, null, 2));
+    } catch (error) {
+        console.error('Error saving schedule:', error.message);
+    }
+}
+
+/**
+ * Pauses every transferring download for a paused schedule block
+ */
+function pauseForSchedule() {
+    activeDownloads.forEach((download, id) => {
+        // Queued downloads keep their place, since nothing is promoted during the block
+        if (['downloading', 'seeding'].includes(download.status) && pauseDownload(id, download)) {
+            download.pausedBySchedule = true;
+        }
+    });
+}
+
+/**
+ * Resumes the downloads that a paused schedule block paused
+ */
+function resumeAfterSchedule() {
+    activeDownloads.forEach((download, id) => {
+        if (download.pausedBySchedule) {
+            resumeDownload(id, download);
+        }
+    });
+
+    promoteQueuedDownloads();
+    rebalanceSeeds();
+}
+
+/**
+ * Applies the schedule mode in effect when it has changed, and drops an expired override
+ * @param {boolean} [notify=false] - Broadcast the schedule status even if the mode is unchanged
+ */
+function applySchedule(notify = false) {
+    if (schedule.override?.until && Date.now() >= schedule.override.until) {
+        schedule.override = null;
+        saveSchedule();
+    }
+
+    const mode = getScheduleMode();
+    const previousMode = appliedScheduleMode;
+
+    if (mode !== previousMode) {
+        appliedScheduleMode = mode;
+
+        if (mode === 'paused') {
+            pauseForSchedule();
+        } else {
+            resumeAfterSchedule();
+        }
+
+        applyBandwidthLimits();
+
+        if (previousMode) {
+            console.log(`Schedule mode changed: ${previousMode} -> ${mode}`);
+        }
+    }
+
+    if (mode !== previousMode || notify) {
+        io.emit('schedule-update', getScheduleStatus());
+    }
+}
+
+/**
+ * Changes the weekly schedule; a manual override ends with it
+ * @param {Object} changes - New values ({ enabled?, days? })
+ * @throws {Error} If a value is invalid
+ */
+function updateSchedule(changes) {
+    if (changes.enabled !== undefined && typeof changes.enabled !== 'boolean') {
+        throw new Error('"enabled" must be a boolean');
+    }
+
+    const days = changes.days !== undefined ? parseScheduleDays(changes.days) : schedule.days;
+
+    schedule.enabled = changes.enabled ?? schedule.enabled;
+    schedule.days = days;
+    schedule.override = null;
+
+    saveSchedule();
+    applySchedule(true);
+}
+
+/**
+ * Sets a manual override that lasts until the scheduled mode next changes
+ * @param {string|null} mode - Mode to use, or null to follow the schedule again
+ * @throws {Error} If the mode is invalid or the schedule is disabled
+ */
+function setScheduleOverride(mode) {
+    if (mode !== null && !SCHEDULE_MODES.includes(mode)) {
+        throw new Error(`"mode" must be one of: ${SCHEDULE_MODES.join(', ')}`);
+    }
+
+    if (mode !== null && !schedule.enabled) {
+        throw new Error('The schedule is disabled');
+    }
+
+    schedule.override = mode === null ? null : { mode, until: getNextScheduleChange()?.at ?? null };
+
+    saveSchedule();
+    applySchedule(true);
+}
+
+// =============================================================================
+// TORRENT CREATION
+// =============================================================================
+
+/**
+ * Validates the options for creating a torrent
+ * @param {Object} body - Request body ({ path, trackers?, pieceLength?, private?, comment? })
+ * @returns {Object} Validated options
+ * @throws {Error} If any option is invalid
+ */
+function parseCreateTorrentOptions(body) {
+    const { trackers = [], pieceLength, comment } = body;
+
+    if (!body.path || typeof body.path !== 'string') {
+        throw new Error('"path" must be a file or folder inside the downloads directory');
+    }
+
+    const inputPath = resolveFilePath(body.path);
+    const isRoot = inputPath === CONFIG.DOWNLOADS_DIR
+        || getExternalCategories().some(([, categoryPath]) => categoryPath === inputPath);
+
+    if (isRoot) {
+        throw new Error('Choose a file or folder inside the downloads directory');
+    }
+
+    if (!fs.existsSync(inputPath)) {
+        throw new Error('File or folder not found');
+    }
+
+    if (!Array.isArray(trackers) || !trackers.every(isValidTrackerUrl)) {
+        throw new Error('"trackers" must be an array of http(s), udp or ws(s) tracker URLs');
+    }
+
+    const isPowerOfTwo = Number.isInteger(pieceLength) && (pieceLength & (pieceLength - 1)) === 0;
+
+    if (pieceLength !== undefined && (!isPowerOfTwo
+        || pieceLength < CONFIG.MIN_PIECE_LENGTH || pieceLength > CONFIG.MAX_PIECE_LENGTH)) {
+        throw new Error('"pieceLength" must be a power of two between 16 KB and 16 MB');
+    }
+
+    if (body.private !== undefined && typeof body.private !== 'boolean') {
+        throw new Error('"private" must be a boolean');
+    }
+
+    if (comment !== undefined && (typeof comment !== 'string' || comment.length > CONFIG.MAX_TORRENT_COMMENT_LENGTH)) {
+        throw new Error(`"comment" must be a string of at most ${CONFIG.MAX_TORRENT_COMMENT_LENGTH} characters`);
+    }
+
+    return {
+        inputPath,
+        trackers: [...new Set(trackers)],
+        pieceLength,
+        private: body.private === true,
+        comment: comment || undefined,
+    };
+}
+
+/**
+ * Checks whether a string is a tracker URL with a supported protocol
+ * @param {*} url - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidTrackerUrl(url) {
+    if (typeof url !== 'string') {
+        return false;
+    }
+
+    try {
+        return ['http:', 'https:', 'udp:', 'ws:', 'wss:'].includes(new URL(url).protocol);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Hashes local data into a .torrent file
+ * @param {Object} options - Validated options from parseCreateTorrentOptions
+ * @returns {Promise<Buffer>} Bencoded .torrent file
+ */
+function buildTorrentFile(options) {
+    return new Promise((resolve, reject) => {
+        createTorrent(options.inputPath, {
+            // An explicit list keeps create-torrent from adding its default public trackers
+            announceList: options.trackers.map((url) => [url]),
+            pieceLength: options.pieceLength,
+            private: options.private,
+            comment: options.comment,
+            createdBy: 'Torrent Downloader',
+        }, (error, torrentFile) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(Buffer.from(torrentFile));
+            }
+        });
+    });
+}
+
+// =============================================================================
+// METADATA PREVIEW
+// =============================================================================
+
+/**
+ * Serializes a metadata preview for client transmission
+ * @param {string} id - Preview ID
+ * @param {Object} preview - Preview object
+ * @returns {Object} Serialized preview
+ */
+function serializeMetadata(id, preview) {
+    return {
+        id,
+        infoHash: preview.infoHash,
+        name: preview.name,
+        status: preview.status,
+        error: preview.error,
+        size: preview.size,
+        pieceLength: preview.pieceLength,
+        pieceCount: preview.pieceCount,
+        files: preview.files,
+        select: preview.select,
+        expiresAt: preview.expiresAt,
+    };
+}
+
+/**
+ * Finds the preview for an info hash
+ * @param {string} infoHash - Torrent info hash
+ * @returns {Array|null} [id, preview] pair, or null if not found
+ */
+function findMetadataByInfoHash(infoHash) {
+    for (const [id, preview] of pendingMetadata) {
+        if (preview.infoHash === infoHash) {
+            return [id, preview];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Leaves the swarm of a preview's torrent
+ * @param {Object} preview - Preview object
+ */
+function stopMetadataTorrent(preview) {
+    if (preview.torrent) {
+        preview.torrent.destroy();
+        preview.torrent = null;
+    }
+}
+
+/**
+ * Sets how long a preview is kept before it is discarded automatically
+ * @param {string} id - Preview ID
+ * @param {Object} preview - Preview object
+ * @param {number} delay - Delay in ms
+ */
+function scheduleMetadataExpiry(id, preview, delay) {
+    clearTimeout(preview.expiryTimer);
+    preview.expiresAt = Date.now() + delay;
+    preview.expiryTimer = setTimeout(() => {
+        if (preview.status === 'fetching') {
+            failMetadata(id, preview, 'Timed out waiting for metadata from peers');
+        } else {
+            discardMetadata(id);
+        }
+    }, delay);
+}
+
+/**
+ * Marks a preview as failed, keeping it until it expires so clients can show the error
+ * @param {string} id - Preview ID
+ * @param {Object} preview - Preview object
+ * @param {string} message - Error message
+ */
+function failMetadata(id, preview, message) {
+    stopMetadataTorrent(preview);
+    preview.status = 'error';
+    preview.error = message;
+    scheduleMetadataExpiry(id, preview, CONFIG.METADATA_EXPIRY);
+    io.emit('metadata-update', serializeMetadata(id, preview));
+}
+
+/**
+ * Joins a magnet's swarm only until the info dictionary arrives, without writing any data
+ * @param {string} magnetLink - Magnet link
+ * @param {Object} magnet - Parsed magnet from parseMagnetLink
+ * @returns {{id: string, preview: Object}} New or existing preview for the info hash
+ */
+function fetchMetadata(magnetLink, magnet) {
+    const existing = findMetadataByInfoHash(magnet.infoHash);
+
+    if (existing) {
+        const [id, preview] = existing;
+        return { id, preview };
+    }
+
+    const id = uuidv4();
+    const torrent = torrentClient.add(magnetLink, {
+        store: MemoryChunkStore,
+        deselect: true,
+        // The swarm has to be found before there is anything to preview, so use every tracker we know
+        announce: withExtraTrackers(magnet.announce),
+    });
+    const preview = {
+        torrent,
+        magnetLink,
+        infoHash: magnet.infoHash,
+        name: magnet.name || null,
+        status: 'fetching',
+        error: null,
+        size: magnet.length,
+        pieceLength: null,
+        pieceCount: null,
+        files: [],
+        select: magnet.select,
+        torrentFile: null,
+        expiryTimer: null,
+        expiresAt: null,
+    };
+
+    pendingMetadata.set(id, preview);
+    scheduleMetadataExpiry(id, preview, CONFIG.METADATA_TIMEOUT);
+
+    torrent.on('metadata', () => {
+        Object.assign(preview, {
+            name: torrent.name,
+            status: 'ready',
+            size: torrent.length,
+            pieceLength: torrent.pieceLength,
+            pieceCount: torrent.pieces.length,
+            files: torrent.files.map((file, index) => ({
+                index,
+                name: file.name,
+                path: file.path,
+                size: file.length,
+            })),
+            torrentFile: Buffer.from(torrent.torrentFile),
+        });
+
+        // The info dictionary is all we need, so leave the swarm straight away
+        stopMetadataTorrent(preview);
+        scheduleMetadataExpiry(id, preview, CONFIG.METADATA_EXPIRY);
+        io.emit('metadata-update', serializeMetadata(id, preview));
+        console.log(`Metadata fetched: ${preview.name}`);
+    });
+
+    torrent.on('error', (err) => failMetadata(id, preview, err.message));
+
+    return { id, preview };
+}
+
+/**
+ * Discards a metadata preview, leaving its swarm if it is still fetching
+ * @param {string} id - Preview ID
+ * @returns {boolean} True if the preview existed
+ */
+function discardMetadata(id) {
+    const preview = pendingMetadata.get(id);
+
+    if (!preview) {
+        return false;
+    }
+
+    clearTimeout(preview.expiryTimer);
+    stopMetadataTorrent(preview);
+    pendingMetadata.delete(id);
+    io.emit('metadata-removed', { id });
+
+    return true;
+}
+
+/**
+ * Builds the file selection for a confirmed preview
+ * @param {Object} preview - Preview object with metadata
+ * @param {Array<number>} [selectedFiles] - Indexes of the files to download (all when omitted)
+ * @returns {Array|undefined} File selection, or undefined when every file is wanted
+ * @throws {Error} If the indexes are invalid or select nothing
+ */
+function buildPreviewFileSelection(preview, selectedFiles) {
+    if (selectedFiles === undefined) {
+        return undefined;
+    }
+
+    const fileCount = preview.files.length;
+
+    if (!Array.isArray(selectedFiles)
+        || !selectedFiles.every((index) => Number.isInteger(index) && index >= 0 && index < fileCount)) {
+        throw new Error('"selectedFiles" must be an array of file indexes');
+    }
+
+    if (selectedFiles.length === 0) {
+        throw new Error('At least one file must be selected');
+    }
+
+    if (selectedFiles.length === fileCount) {
+        return undefined;
+    }
+
+    return preview.files.map((file, index) => ({
+        selected: selectedFiles.includes(index),
+        priority: 'normal',
+    }));
+}
+
+// =============================================================================
+// TRACKERS
+// =============================================================================
+
+/**
+ * Replaces the tracker list of a running torrent and restarts its tracker announces
+ * @param {Object} torrent - WebTorrent torrent object
+ * @param {Array<string>} announce - Tracker URLs
+ */
+function setTorrentTrackers(torrent, announce) {
+    torrent.announce = announce;
+
+    // Before discovery starts the new list is picked up from torrent.announce
+    const { discovery } = torrent;
+
+    if (!discovery || discovery.destroyed || !discovery.tracker) {
+        return;
+    }
+
+    // Same approach torrent-discovery uses when the port changes
+    const previous = discovery.tracker;
+    discovery._announce = announce;
+    discovery.tracker = discovery._createTracker();
+    previous.stop();
+    previous.destroy();
+}
+
+/**
+ * Adds trackers to a download, keeping them for future restores
+ * @param {Object} download - Download object
+ * @param {Array<string>} urls - Tracker URLs
+ * @returns {Array<string>} Trackers that were not known before
+ */
+function addTrackers(download, urls) {
+    const known = new Set([...(download.torrent?.announce || []), ...(download.options.trackers || [])]);
+    const added = [...new Set(urls)].filter((url) => !known.has(url));
+
+    if (added.length === 0) {
+        return [];
+    }
+
+    download.options.trackers = [...(download.options.trackers || []), ...added];
+
+    // Trackers removed before are wanted again
+    if (download.options.removedTrackers) {
+        download.options.removedTrackers = download.options.removedTrackers.filter((url) => !added.includes(url));
+    }
+
+    if (download.torrent) {
+        setTorrentTrackers(download.torrent, [...(download.torrent.announce || []), ...added]);
+        watchTrackerAnnounces(download, download.torrent);
+    }
+
+    scheduleStateSave();
+    console.log(`Added ${added.length} tracker(s) to: ${download.name}`);
+
+    return added;
+}
+
+/**
+ * Removes trackers from a download, also for future restores
+ * @param {Object} download - Download object
+ * @param {Array<string>} urls - Tracker URLs
+ * @returns {Array<string>} Trackers that were removed
+ */
+function removeTrackers(download, urls) {
+    const removed = getTrackerUrls(download).filter((url) => urls.includes(url));
+
+    if (removed.length === 0) {
+        return [];
+    }
+
+    download.options.trackers = (download.options.trackers || []).filter((url) => !removed.includes(url));
+    // Trackers from the torrent itself come back whenever it is loaded, so they are left out again then
+    download.options.removedTrackers = [...new Set([...(download.options.removedTrackers || []), ...removed])];
+    removed.forEach((url) => download.trackerStatus.delete(url));
+
+    if (download.torrent?.announce) {
+        setTorrentTrackers(download.torrent, download.torrent.announce.filter((url) => !removed.includes(url)));
+        watchTrackerAnnounces(download, download.torrent);
+    }
+
+    scheduleStateSave();
+    console.log(`Removed ${removed.length} tracker(s) from: ${download.name}`);
+
+    return removed;
+}
+
+/**
+ * Adds the default extra trackers to a magnet link's trackers
+ * @param {Array<string>} [announce] - Trackers of the magnet link or download
+ * @returns {Array<string>} De-duplicated trackers, the extra ones last
+ */
+function withExtraTrackers(announce = []) {
+    return [...new Set([...announce, ...settings.extraTrackers])];
+}
+
+/**
+ * Validates a list of tracker URLs
+ * @param {*} value - Requested URLs
+ * @param {string} name - Field name for error messages
+ * @returns {Array<string>} Trimmed, de-duplicated URLs
+ * @throws {Error} If the value is not a list of tracker URLs
+ */
+function parseTrackerList(value, name) {
+    const urls = Array.isArray(value) ? value.map((url) => (typeof url === 'string' ? url.trim() : url)) : null;
+
+    if (!urls || !urls.every(isValidTrackerUrl)) {
+        throw new Error(`"${name}" must be an array of http(s), udp or ws(s) tracker URLs`);
+    }
+
+    return [...new Set(urls)];
+}
+
+/**
+ * Gets the tracker URLs of a download
+ * @param {Object} download - Download object
+ * @returns {Array<string>} Tracker URLs
+ */
+function getTrackerUrls(download) {
+    // Torrents not loaded yet only know the trackers added to them
+    return download.torrent?.announce || download.options.trackers || [];
+}
+
+/**
+ * Lists the trackers of a download with the outcome of their last announces
+ * @param {Object} download - Download object
+ * @returns {Array<Object>} Trackers
+ */
+function getTrackerList(download) {
+    return getTrackerUrls(download).map((url) => ({
+        url,
+        status: 'pending',
+        lastAnnounce: null,
+        lastError: null,
+        lastErrorAt: null,
+        seeders: null,
+        leechers: null,
+        ...download.trackerStatus.get(url),
+    }));
+}
+
+/**
+ * Announces a download to all of its trackers now instead of at the next interval
+ * @param {Object} download - Download object
+ * @returns {boolean} True if an announce was sent
+ */
+function reannounceDownload(download) {
+    const tracker = download.torrent?.discovery?.tracker;
+
+    if (!tracker || tracker.destroyed) {
+        return false;
+    }
+
+    tracker.update();
+    console.log(`Re-announced to trackers: ${download.name}`);
+
+    return true;
+}
+
+/**
+ * Finds the tracker a tracker warning is about.
+ * Most warnings name the announce URL, failed HTTP connections only name the host.
+ * @param {Array<string>} announce - Tracker URLs of the torrent
+ * @param {string} message - Warning message
+ * @returns {string|null} Tracker URL, or null if the warning names no tracker
+ */
+function findWarningTracker(announce, message) {
+    const byUrl = announce.find((url) => message.includes(url));
+
+    if (byUrl) {
+        return byUrl;
+    }
+
+    return announce.find((url) => {
+        try {
+            return message.includes(new URL(url).hostname);
+        } catch {
+            return false;
+        }
+    }) || null;
+}
+
+/**
+ * Records the outcome of each tracker announce of a torrent on its download.
+ * The tracker client is replaced whenever the tracker list changes, so this is called again then.
+ * @param {Object} download - Download object
+ * @param {Object} torrent - WebTorrent torrent object
+ */
+function watchTrackerAnnounces(download, torrent) {
+    const tracker = torrent.discovery?.tracker;
+
+    if (!tracker || watchedTrackerClients.has(tracker)) {
+        return;
+    }
+
+    watchedTrackerClients.add(tracker);
+
+    tracker.on('update', (data) => {
+        if (download.torrent !== torrent) {
+            return;
+        }
+
+        // The tracker client drops a trailing slash from announce URLs
+        const url = (torrent.announce || []).find((known) => known.replace(/\/$/, '') === data.announce) || data.announce;
+
+        download.trackerStatus.set(url, {
+            ...download.trackerStatus.get(url),
+            status: 'working',
+            lastAnnounce: Date.now(),
+            seeders: data.complete ?? null,
+            leechers: data.incomplete ?? null,
+        });
+    });
+
+    tracker.on('warning', (error) => {
+        // Connection errors carry the failing host in their cause
+        const message = error.cause?.message ? `${error.message}: ${error.cause.message}` : error.message;
+        const url = findWarningTracker(torrent.announce || [], message);
+
+        if (download.torrent !== torrent || !url) {
+            return;
+        }
+
+        download.trackerStatus.set(url, {
+            ...download.trackerStatus.get(url),
+            status: 'error',
+            lastError: message,
+            lastErrorAt: Date.now(),
+        });
+    });
+}
+
+// =============================================================================
+// DOWNLOAD DETAILS
+// =============================================================================
+
+/** Display names of peer connection types */
+const PEER_CONNECTION_TYPES = Object.freeze({
+    tcpIncoming: 'TCP in',
+    tcpOutgoing: 'TCP out',
+    utpIncoming: 'uTP in',
+    utpOutgoing: 'uTP out',
+    webrtc: 'WebRTC',
+    webSeed: 'Web seed',
+});
+
+/**
+ * Names the client software of a peer
+ * @param {Object} wire - Peer connection
+ * @returns {string|null} Client name and version, if the peer gave them
+ */
+function getPeerClient(wire) {
+    const version = wire.peerExtendedHandshake?.v;
+
+    if (version) {
+        return typeof version === 'string' ? version : Buffer.from(version).toString('utf8');
+    }
+
+    // Azureus-style peer IDs such as -qB4630- start with a client code and version
+    const peerId = wire.peerId ? Buffer.from(wire.peerId, 'hex').toString('latin1') : '';
+    const match = /^-([A-Za-z~]{2})([0-9A-Za-z]{4})-/.exec(peerId);
+
+    return match ? `${match[1]} ${match[2]}` : null;
+}
+
+/**
+ * Serializes a peer connection for the details view
+ * @param {Object} wire - Peer connection
+ * @param {number} pieceCount - Number of pieces in the torrent
+ * @returns {Object} Peer details
+ */
+function serializePeer(wire, pieceCount) {
+    let have = 0;
+
+    if (wire.isSeeder) {
+        have = pieceCount;
+    } else {
+        for (let index = 0; index < pieceCount; index++) {
+            if (wire.peerPieces.get(index)) {
+                have++;
+            }
+        }
+    }
+
+    return {
+        address: wire.type === 'webSeed' ? wire.url : `${wire.remoteAddress}:${wire.remotePort}`,
+        client: wire.type === 'webSeed' ? null : getPeerClient(wire),
+        progress: pieceCount ? Math.round((have / pieceCount) * 1000) / 10 : 0,
+        downloadSpeed: Math.round(wire.downloadSpeed()),
+        uploadSpeed: Math.round(wire.uploadSpeed()),
+        type: wire.type,
+        connection: PEER_CONNECTION_TYPES[wire.type] || wire.type,
+    };
+}
+
+/**
+ * Collects the peers, trackers, DHT state and pieces of a download
+ * @param {string} id - Download ID
+ * @param {Object} download - Download object
+ * @returns {Object} Download details
+ */
+function getDownloadDetails(id, download) {
+    const { torrent } = download;
+    // Torrents still waiting for metadata have no pieces yet
+    const pieceCount = torrent?.pieces?.length || 0;
+    const bitfield = pieceCount && torrent.bitfield
+        ? Buffer.from(torrent.bitfield.buffer.subarray(0, Math.ceil(pieceCount / 8))).toString('base64')
+        : null;
+    let have = 0;
+
+    for (let index = 0; index < pieceCount; index++) {
+        if (torrent.bitfield.get(index)) {
+            have++;
+        }
+    }
+
+    const peers = (torrent?.wires || [])
+        .map((wire) => serializePeer(wire, pieceCount))
+        .sort((a, b) => b.downloadSpeed - a.downloadSpeed || b.uploadSpeed - a.uploadSpeed);
+
+    const { dht } = torrentClient;
+
+    return {
+        id,
+        name: download.name,
+        status: download.status,
+        peers,
+        trackers: getTrackerList(download),
+        dht: {
+            // Private torrents only get peers from their trackers
+            enabled: Boolean(dht) && !torrent?.private,
+            listening: dht?.listening || false,
+            nodes: dht?.nodes?.count() || 0,
+            lastAnnounce: download.dhtAnnouncedAt,
+        },
+        pieces: {
+            count: pieceCount,
+            length: torrent?.pieceLength || 0,
+            lastLength: torrent?.lastPieceLength || 0,
+            have,
+            // One bit per piece, most significant bit first
+            bitfield,
+        },
+    };
+}
+
+// =============================================================================
+// PIECE MAP
+// =============================================================================
+
+/** Piece states of a piece map, kept in the top two bits of each piece's byte */
+const PIECE_STATES = Object.freeze({
+    missing: 0,
+    active: 1,
+    done: 2,
+});
+
+/** Highest peer count a piece map holds, in the low six bits of each piece's byte */
+const MAX_PIECE_AVAILABILITY = 63;
+
+/** Statuses whose piece maps do not change until the status does */
+const IDLE_PIECE_MAP_STATUSES = Object.freeze(['paused', 'queued', 'completed', 'moving', 'error']);
+
+/**
+ * Builds a map of a torrent's pieces with one byte per piece: its state and how many peers have it
+ * @param {Object} torrent - WebTorrent torrent object with metadata
+ * @returns {Uint8Array} Piece map
+ */
+function buildPieceMap(torrent) {
+    const count = torrent.pieces.length;
+    const map = new Uint8Array(count);
+    // WebTorrent counts the peers that have each piece for its rarest-first picking
+    const availability = torrent._rarityMap?._pieces || [];
+
+    for (let index = 0; index < count; index++) {
+        const piece = torrent.pieces[index];
+        let state = PIECE_STATES.missing;
+
+        if (torrent.bitfield.get(index)) {
+            state = PIECE_STATES.done;
+        } else if (piece && (piece._reservations > 0 || piece.missing < piece.length)) {
+            state = PIECE_STATES.active;
+        }
+
+        map[index] = (state << 6) | Math.min(availability[index] || 0, MAX_PIECE_AVAILABILITY);
+    }
+
+    return map;
+}
+
+/**
+ * Serializes the last sent piece map of a download in full
+ * @param {string} id - Download ID
+ * @param {Object} download - Download object
+ * @returns {{id: string, count: number, map: string}} Piece map with the bytes in base64
+ */
+function serializePieceMap(id, download) {
+    return {
+        id,
+        count: download.pieceMap.length,
+        map: Buffer.from(download.pieceMap).toString('base64'),
+    };
+}
+
+/**
+ * Rebuilds the piece map of a download and describes what changed since it was last sent
+ * @param {string} id - Download ID
+ * @param {Object} download - Download object with a ready torrent
+ * @returns {Object|null} Full map, [index, byte] pairs of changed pieces, or null if nothing changed
+ */
+function getPieceMapUpdate(id, download) {
+    const previous = download.pieceMap;
+    const map = buildPieceMap(download.torrent);
+
+    download.pieceMap = map;
+    download.pieceMapStatus = download.status;
+
+    if (!previous || previous.length !== map.length) {
+        return serializePieceMap(id, download);
+    }
+
+    const changes = [];
+
+    for (let index = 0; index < map.length; index++) {
+        if (map[index] !== previous[index]) {
+            changes.push(index, map[index]);
+        }
+    }
+
+    if (changes.length === 0) {
+        return null;
+    }
+
+    // Pairs take several times the space of a piece in the base64 map, so big changes are sent in full
+    return changes.length / 2 > map.length / 8 ? serializePieceMap(id, download) : { id, changes };
+}
+
+/**
+ * Sends the piece map changes of all loaded torrents to clients
+ */
+function broadcastPieceMaps() {
+    activeDownloads.forEach((download, id) => {
+        if (!download.torrent?.ready || download.torrent.destroyed) {
+            return;
+        }
+
+        // Idle downloads are mapped once more after their status changes
+        const isIdle = IDLE_PIECE_MAP_STATUSES.includes(download.status) && download.pieceMapStatus === download.status;
+
+        if (download.pieceMap && isIdle) {
+            return;
+        }
+
+        const update = getPieceMapUpdate(id, download);
+
+        if (update) {
+            io.emit('piece-map-update', update);
+        }
+    });
+}
+
+// =============================================================================
+// FILE SELECTION
+// =============================================================================
+
+/**
+ * Gets the wanted/priority setting of a file in a download
+ * @param {Object} download - Download object
+ * @param {number} index - File index within the torrent
+ * @returns {{selected: boolean, priority: string}} File selection
+ */
+function getFileSelection(download, index) {
+    return download.options.fileSelection?.[index] || { selected: true, priority: 'normal' };
+}
+
+/**
+ * Checks whether any file of a download is skipped
+ * @param {Object} download - Download object
+ * @returns {boolean} True if only part of the torrent is wanted
+ */
+function hasPartialSelection(download) {
+    return download.files.some((file, index) => !getFileSelection(download, index).selected);
+}
+
+/**
+ * Serializes the file list of a download with selection state and progress
+ * @param {string} id - Download ID
+ * @param {Object} download - Download object
+ * @returns {Array} Array of file objects
+ */
+function serializeFiles(id, download) {
+    const torrentFiles = download.torrent?.files || [];
+
+    return download.files.map((file, index) => {
+        const torrentFile = torrentFiles[index];
+        const selection = getFileSelection(download, index);
+        const isDone = isFinishedStatus(download.status) && selection.selected;
+
+        return {
+            ...file,
+            index,
+            ...selection,
+            progress: torrentFile ? Math.round(torrentFile.progress * 100) : (isDone ? 100 : 0),
+            // Files of a running torrent can be streamed before they finish downloading
+            ...(torrentFile && (!download.torrent.paused || torrentFile.done) && {
+                streamUrl: `/api/download/${id}/stream/${index}`,
+            }),
+        };
+    });
+}
+
+/**
+ * Applies a download's file selection to its torrent's piece selection
+ * @param {Object} torrent - WebTorrent torrent object with metadata
+ * @param {Object} download - Download object
+ */
+function applyFileSelection(torrent, download) {
+    if (torrent.pieces.length === 0) {
+        return;
+    }
+
+    // Drop the default whole-torrent selection, then re-select the wanted files
+    torrent.deselect(0, torrent.pieces.length - 1);
+
+    torrent.files.forEach((file, index) => {
+        const { selected, priority } = getFileSelection(download, index);
+
+        if (selected) {
+            file.select(FILE_PRIORITIES[priority]);
+        }
+    });
+}
+
+/**
+ * Checks whether every wanted file of a download has finished
+ * @param {Object} download - Download object
+ * @returns {boolean} True if there is nothing left to download
+ */
+function isSelectionComplete(download) {
+    const { torrent } = download;
+
+    if (!torrent || torrent.files.length === 0) {
+        return false;
+    }
+
+    return torrent.done || torrent.files.every((file, index) => (
+        file.done || !getFileSelection(download, index).selected
+    ));
+}
+
+/**
+ * Refreshes progress and transfer statistics from the torrent, counting only wanted files
+ * @param {Object} download - Download object
+ * @param {Object} torrent - WebTorrent torrent object
+ */
+function updateTransferStats(download, torrent) {
+    download.downloadSpeed = torrent.downloadSpeed;
+    download.uploadSpeed = torrent.uploadSpeed;
+    download.peers = torrent.numPeers;
+
+    if (!hasPartialSelection(download)) {
+        download.size = torrent.length;
+        // Rounded down to two decimals so only complete downloads reach 100
+        download.progress = Math.floor(torrent.progress * 10000) / 100;
+        download.downloaded = torrent.downloaded;
+        return;
+    }
+
+    let size = 0;
+    let downloaded = 0;
+
+    torrent.files.forEach((file, index) => {
+        if (getFileSelection(download, index).selected) {
+            size += file.length;
+            downloaded += file.downloaded;
+        }
+    });
+
+    download.size = size;
+    download.downloaded = downloaded;
+    download.progress = size ? Math.floor((downloaded / size) * 10000) / 100 : 100;
+}
+
+/**
+ * Folds the current download speed into the download's moving average
+ * @param {Object} download - Download object
+ * @param {Object} torrent - WebTorrent torrent object
+ */
+function updateAverageSpeed(download, torrent) {
+    // The first sample starts the average, so the estimate does not climb up from zero
+    download.averageDownloadSpeed = download.averageDownloadSpeed
+        ? download.averageDownloadSpeed + CONFIG.SPEED_SMOOTHING * (torrent.downloadSpeed - download.averageDownloadSpeed)
+        : torrent.downloadSpeed;
+}
+
+/**
+ * Estimates how long a download needs to finish at its average speed
+ * @param {Object} download - Download object
+ * @returns {number|null} Seconds remaining, or null if not downloading or no data is arriving
+ */
+function getTimeRemaining(download) {
+    const remaining = getRemainingBytes(download);
+
+    if (download.status !== 'downloading' || remaining === 0 || download.averageDownloadSpeed < 1) {
+        return null;
+    }
+
+    return Math.ceil(remaining / download.averageDownloadSpeed);
+}
+
+/**
+ * Marks a download as completed once all of its wanted files are on disk
+ * @param {string} downloadId - Download ID
+ * @param {Object} torrent - WebTorrent torrent object
+ */
+function completeDownload(downloadId, torrent) {
+    const download = activeDownloads.get(downloadId);
+
+    if (!download) {
+        return;
+    }
+
+    // A torrent whose data was already on disk may still be waiting in the queue
+    removeFromQueue(downloadId);
+    download.averageDownloadSpeed = 0;
+
+    if (download.options.incomplete) {
+        // The torrent is reloaded at its new location, which sets up a new progress interval
+        cleanupDownload(downloadId);
+        moveCompletedData(downloadId, download);
+        return;
+    }
+
+    if (torrent.paused) {
+        startTorrent(torrent);
+    }
+
+    // Restored downloads that finished in an earlier session complete again without running hooks
+    const isNewlyCompleted = !download.completedAt;
+
+    download.status = 'seeding';
+    download.progress = 100;
+    download.downloaded = download.size;
+    download.completedAt = download.completedAt || Date.now();
+    download.files = torrent.files.map((file, index) => ({
+        name: file.name,
+        size: file.length,
+        path: file.path,
+        // Skipped files were never written, so they get no download link
+        ...(getFileSelection(download, index).selected && {
+            downloadUrl: `/files/${encodeURIComponent(getPublicFilePath(path.join(torrent.path, file.path)))}`,
+        }),
+    }));
+
+    scheduleStateSave();
+
+    io.emit('download-update', serializeDownload(downloadId, download));
+    console.log(`Download completed: ${download.name}`);
+
+    if (isNewlyCompleted) {
+        recordHistoryCompletion(downloadId, download);
+        runHooks(downloadId, download, 'complete');
+    }
+
+    rebalanceSeeds();
+    promoteQueuedDownloads();
+}
+
+/**
+ * Moves a finished download from the incomplete directory to its save path in one
+ * rename and reloads the torrent there, so it seeds from the new location.
+ * If the move fails the download is marked as failed and retried after a restart.
+ * @param {string} id - Download ID
+ * @param {Object} download - Download object
+ */
+async function moveCompletedData(id, download) {
+    const { torrent } = download;
+
+    // Several 'done' events can fire for the same torrent
+    if (download.status === 'moving') {
+        return;
+    }
+
+    const savePath = download.options.savePath || CONFIG.DOWNLOADS_DIR;
+    const torrentFile = Buffer.from(torrent.torrentFile);
+    // Taken before the torrent is unloaded, while its upload count is still known
+    const record = createDownloadRecord(id, download);
+
+    download.status = 'moving';
+    download.downloadSpeed = 0;
+    download.uploadSpeed = 0;
+    download.peers = 0;
+    io.emit('download-update', serializeDownload(id, download));
+
+    // The download no longer needs its slot while it moves
+    promoteQueuedDownloads();
+
+    // Unload the torrent so nothing reads or writes the files while they move
+    await new Promise((resolve) => torrent.destroy(resolve));
+    download.torrent = null;
+
+    try {
+        await moveDownloadData(CONFIG.INCOMPLETE_DIR, savePath, download.name);
+    } catch (error) {
+        download.status = 'error';
+        download.error = `Could not move to ${savePath}: ${error.message}`;
+        scheduleStateSave();
+
+        io.emit('download-update', serializeDownload(id, download));
+        console.error(`Error moving ${download.name}:`, error.message);
+
+        runHooks(id, download, 'error');
+        return;
+    }
+
+    // Removed while it moved
+    if (activeDownloads.get(id) !== download) {
+        return;
+    }
+
+    const options = { ...download.options };
+    delete options.incomplete;
+
+    console.log(`Moved ${download.name} to ${savePath}`);
+
+    // The data was verified as it downloaded; a partial selection is re-checked since
+    // pieces of skipped files are missing
+    startDownload(torrentFile, {
+        ...record,
+        status: 'completed',
+        options,
+        skipVerify: !hasPartialSelection(download),
+    });
+
+    io.emit('download-update', serializeDownload(id, activeDownloads.get(id)));
+}
+
+// =============================================================================
+// PIECE VERIFICATION
+// =============================================================================
+
+/**
+ * Hashes one piece of a torrent's data on disk and records whether it is valid.
+ * Same steps WebTorrent's rescanFiles takes, one piece at a time so progress can be reported.
+ * @param {Object} torrent - WebTorrent torrent object
+ * @param {number} index - Piece index
+ * @returns {Promise<boolean>} True if the piece matches its hash
+ */
+function verifyPiece(torrent, index) {
+    return new Promise((resolve, reject) => {
+        torrent._verifyPiece(index, (error, isValid) => {
+            if (error) {
+                reject(error);
+                return;
+            }
+
+            if (isValid) {
+                torrent._markVerified(index);
+            } else {
+                torrent._markUnverified(index);
+            }
+
+            resolve(isValid);
+        });
+    });
+}
+
+/**
+ * Picks up a download's transfers again after a check, downloading whatever was missing or corrupt
+ * @param {string} id - Download ID
+ * @param {Object} download - Download object
+ * @param {string} previousStatus - Status before the check
+ */
+function resumeAfterCheck(id, download, previousStatus) {
+    const { torrent } = download;
+
+    if (previousStatus === 'paused') {
+        download.status = 'paused';
+    } else if (isSelectionComplete(download)) {
+        if (!isFinishedStatus(previousStatus)) {
+            completeDownload(id, torrent);
+            return;
+        }
+
+        // Seeding restarts within the seeding limits and the schedule
+        download.status = 'completed';
+    } else {
+        // Finished downloads with bad pieces download them again and complete anew
+        download.completedAt = null;
+
+        if (hasFreeDownloadSlot() && appliedScheduleMode !== 'paused' && !isDiskSpaceLow) {
+            startTorrent(torrent);
+            download.status = 'downloading';
+        } else {
+            queueDownload(id, download);
+        }
+    }
+
+    scheduleStateSave();
+    io.emit('download-update', serializeDownload(id, download));
+
+    rebalanceSeeds();
+    promoteQueuedDownloads();
+}
+
+/**
+ * Re-hashes a download's data against the piece hashes with transfers stopped,
+ * then continues with only the missing or corrupt pieces left to download
+ * @param {string} id - Download ID
+ * @param {Object} download - Download object with a ready torrent
+ */
+async function verifyDownload(id, download) {
+    const { torrent } = download;
+    const previousStatus = download.status;
+    const total = torrent.pieces.length;
+    let valid = 0;
+    let corrupt = 0;
+    let lastUpdate = Date.now();
+
+    stopTorrent(torrent);
+    removeFromQueue(id);
+
+    download.status = 'checking';
+    download.checkProgress = 0;
+    download.downloadSpeed = 0;
+    download.uploadSpeed = 0;
+    download.peers = 0;
+    io.emit('download-update', serializeDownload(id, download));
+    console.log(`Verifying ${total} pieces: ${download.name}`);
+
+    try {
+        for (let index = 0; index < total; index++) {
+            const hadPiece = torrent.bitfield.get(index);
+
+            if (await verifyPiece(torrent, index)) {
+                valid++;
+            } else if (hadPiece) {
+                corrupt++;
+            }
+
+            if (Date.now() - lastUpdate >= CONFIG.PROGRESS_UPDATE_INTERVAL) {
+                lastUpdate = Date.now();
+                download.checkProgress = Math.floor(((index + 1) / total) * 100);
+                io.emit('download-update', serializeDownload(id, download));
+            }
+        }
+    } catch (error) {
+        // Nothing to report if the torrent was removed or reloaded during the check
+        if (activeDownloads.get(id) === download && download.torrent === torrent) {
+            download.status = 'error';
+            download.error = `Verification failed: ${error.message}`;
+            scheduleStateSave();
+            io.emit('download-update', serializeDownload(id, download));
+        }
+
+        console.error(`Verification of ${download.name} stopped:`, error.message);
+        return;
+    }
+
+    download.checkProgress = null;
+    // Invalid pieces are either corrupt (they were complete before) or were never downloaded
+    download.verifyResult = { valid, invalid: total - valid, corrupt, total, checkedAt: Date.now() };
+    console.log(`Verified ${download.name}: ${valid}/${total} pieces valid, ${corrupt} corrupt`);
+
+    // Marking pieces unverified selects them again, including those of skipped files
+    if (download.options.fileSelection) {
+        applyFileSelection(torrent, download);
+    }
+
+    // Flags files as done or not, as WebTorrent does after its own checks
+    torrent._checkDone();
+    updateTransferStats(download, torrent);
+
+    resumeAfterCheck(id, download, previousStatus);
+}
+
+// =============================================================================
+// TORRENT EVENT HANDLERS
+// =============================================================================
+
+/**
+ * Sets up event handlers for a torrent
+ * @param {string} downloadId - Download ID
+ * @param {Object} torrent - WebTorrent torrent object
+ */
+function setupTorrentEventHandlers(downloadId, torrent) {
+    // Apply per-download rate limits to every peer connection
+    torrent.on('wire', (wire) => {
+        const download = activeDownloads.get(downloadId);
+
+        if (download) {
+            throttleWire(wire, download);
+        }
+    });
+
+    // Magnets start looking for peers right after the info hash is known
+    torrent.on('infoHash', () => {
+        const { removedTrackers } = activeDownloads.get(downloadId)?.options || {};
+
+        // Still in time for the first announce
+        if (removedTrackers?.length > 0) {
+            torrent.announce = torrent.announce.filter((url) => !removedTrackers.includes(url));
+        }
+
+        queueMicrotask(() => {
+            const download = activeDownloads.get(downloadId);
+
+            if (download) {
+                watchTrackerAnnounces(download, torrent);
+            }
+        });
+    });
+
+    torrent.on('dhtAnnounce', () => {
+        const download = activeDownloads.get(downloadId);
+
+        if (download) {
+            download.dhtAnnouncedAt = Date.now();
+        }
+    });
+
+    // Metadata received - torrent info is available
+    torrent.on('metadata', () => {
+        const download = activeDownloads.get(downloadId);
+        
+        if (!download) return;
+        
+        download.name = torrent.name;
+        download.infoHash = torrent.infoHash;
+        download.size = torrent.length;
+        download.files = torrent.files.map((file) => ({
+            name: file.name,
+            size: file.length,
+            path: file.path,
+        }));
+
+        // A magnet's select-only list becomes the initial file selection
+        if (!download.options.fileSelection && download.options.selectOnly) {
+            const { selectOnly } = download.options;
+
+            if (selectOnly.some((index) => index < torrent.files.length)) {
+                download.options.fileSelection = torrent.files.map((file, index) => ({
+                    selected: selectOnly.includes(index),
+                    priority: 'normal',
+                }));
+            }
+        }
+
+        // Re-apply a file selection restored from disk
+        if (download.options.fileSelection) {
+            applyFileSelection(torrent, download);
+            updateTransferStats(download, torrent);
+        }
+
+        // Partial selections never fire the torrent 'done' event, so watch each file
+        torrent.files.forEach((file) => {
+            file.on('done', () => {
+                const current = activeDownloads.get(downloadId);
+
+                if (current && current.status === 'downloading' && isSelectionComplete(current)) {
+                    completeDownload(downloadId, torrent);
+                }
+            });
+        });
+
+        saveTorrentFile(torrent);
+        scheduleStateSave();
+        
+        io.emit('download-update', serializeDownload(downloadId, download));
+    });
+
+    // Download progress update
+    torrent.on('download', () => {
+        const download = activeDownloads.get(downloadId);
+        
+        if (!download || download.status === 'paused') return;
+        
+        updateTransferStats(download, torrent);
+    });
+
+    // Download completed
+    torrent.on('done', () => {
+        const download = activeDownloads.get(downloadId);
+
+        // A forced check decides itself what happens once it finishes
+        if (download && !['paused', 'seeding', 'checking'].includes(download.status)) {
+            completeDownload(downloadId, torrent);
+        }
+    });
+
+    // Error occurred
+    torrent.on('error', (err) => {
+        cleanupDownload(downloadId);
+        
+        const download = activeDownloads.get(downloadId);
+        
+        if (!download) return;
+        
+        download.status = 'error';
+        download.error = err.message;
+        removeFromQueue(downloadId);
+        scheduleStateSave();
+        
+        io.emit('download-update', serializeDownload(downloadId, download));
+        console.error(`Download error: ${err.message}`);
+
+        runHooks(downloadId, download, 'error');
+        promoteQueuedDownloads();
+    });
+
+    // Restored torrents verify existing data before any 'download' event fires
+    torrent.on('ready', () => {
+        const download = activeDownloads.get(downloadId);
+
+        if (!download) {
+            return;
+        }
+
+        // Torrents with metadata start looking for peers when they become ready
+        watchTrackerAnnounces(download, torrent);
+        updateTransferStats(download, torrent);
+
+        // Completed downloads restored for seeding start seeding here as well
+        if (['downloading', 'completed'].includes(download.status) && isSelectionComplete(download)) {
+            completeDownload(downloadId, torrent);
+            return;
+        }
+
+        // Existing data has been verified by now, so only the missing part has to fit
+        if (['downloading', 'queued'].includes(download.status) && !checkDiskSpace(downloadId, download)) {
+            return;
+        }
+
+        io.emit('download-update', serializeDownload(downloadId, download));
+    });
+
+    // Set up progress interval for real-time updates (paused downloads stay silent).
+    // It lives as long as the torrent, so seeds that a check sends back to downloading report again.
+    const progressInterval = setInterval(() => {
+        const download = activeDownloads.get(downloadId);
+        
+        if (download && download.status === 'downloading') {
+            download.downloadingTime += CONFIG.PROGRESS_UPDATE_INTERVAL / 1000;
+            updateAverageSpeed(download, torrent);
+            io.emit('download-update', serializeDownload(downloadId, download));
+        } else if (download) {
+            // Paused, queued or checking downloads start a new average when they resume
+            download.averageDownloadSpeed = 0;
+        }
+    }, CONFIG.PROGRESS_UPDATE_INTERVAL);
+    
+    progressIntervals.set(downloadId, progressInterval);
+}
+
+// =============================================================================
+// WATCH FOLDER
+// =============================================================================
+
+/** Subfolders of the watch folder that processed files are moved to */
+const WATCH_SUBFOLDERS = Object.freeze({
+    added: 'added',
+    failed: 'failed',
+});
+
+/**
+ * Extracts the magnet links from the contents of a .magnet or .txt file, one per line
+ * @param {string} text - File contents
+ * @returns {Array<string>} Magnet links
+ */
+function extractMagnetLinks(text) {
+    return text
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line.toLowerCase().startsWith('magnet:'));
+}
+
+/**
+ * Adds every torrent described by a file dropped into the watch folder
+ * @param {string} filePath - Absolute path of a .torrent, .magnet or .txt file
+ * @returns {Promise<Array<string>>} Names or info hashes of the added torrents
+ * @throws {Error} If the file holds no valid torrent, or any magnet link in it is invalid
+ */
+async function addWatchFile(filePath) {
+    const contents = await fs.promises.readFile(filePath);
+
+    if (path.extname(filePath).toLowerCase() === '.torrent') {
+        const parsed = await parseTorrentFile(contents);
+        addOrMergeDownload(contents, parsed, { magnetURI: toMagnetURI(parsed) });
+        return [parsed.name || parsed.infoHash];
+    }
+
+    const magnetLinks = extractMagnetLinks(contents.toString('utf8'));
+    const added = [];
+    const errors = [];
+
+    if (magnetLinks.length === 0) {
+        throw new Error('No magnet links found');
+    }
+
+    for (const magnetLink of magnetLinks) {
+        try {
+            const parsed = parseMagnetLink(magnetLink);
+
+            addOrMergeDownload(magnetLink, parsed, {
+                options: {
+                    ...(parsed.select && { selectOnly: parsed.select }),
+                    trackers: withExtraTrackers(),
+                },
+            });
+            added.push(parsed.name || parsed.infoHash);
+        } catch (error) {
+            errors.push(`Invalid magnet link: ${error.message}`);
+        }
+    }
+
+    // The file is still moved to failed/ so the broken lines can be fixed and it can be dropped again
+    if (errors.length > 0) {
+        throw new Error(`${errors.join('; ')}${added.length > 0 ? ` (added ${added.length} other link(s))` : ''}`);
+    }
+
+    return added;
+}
+
+/**
+ * Moves a processed file into a subfolder of the watch folder without overwriting older files
+ * @param {string} filePath - Absolute path of the processed file
+ * @param {string} subfolder - Subfolder name
+ */
+async function moveWatchFile(filePath, subfolder) {
+    const targetDir = path.join(CONFIG.WATCH_DIR, subfolder);
+    const { name, ext } = path.parse(filePath);
+    let target = path.join(targetDir, `${name}${ext}`);
+
+    await fs.promises.mkdir(targetDir, { recursive: true });
+
+    if (fs.existsSync(target)) {
+        target = path.join(targetDir, `${name}-${Date.now()}${ext}`);
+    }
+
+    await fs.promises.rename(filePath, target);
+}
+
+/**
+ * Processes a single watch folder file and reports the result to clients
+ * @param {string} fileName - File name inside the watch folder
+ */
+async function processWatchFile(fileName) {
+    const filePath = path.join(CONFIG.WATCH_DIR, fileName);
+
+    try {
+        const added = await addWatchFile(filePath);
+
+        await moveWatchFile(filePath, WATCH_SUBFOLDERS.added);
+        io.emit('watch-folder-result', { file: fileName, status: 'added', torrents: added });
+        console.log(`Watch folder: added ${added.length} torrent(s) from ${fileName}`);
+    } catch (error) {
+        try {
+            await moveWatchFile(filePath, WATCH_SUBFOLDERS.failed);
+        } catch (moveError) {
+            console.error(`Watch folder: could not move ${fileName}:`, moveError.message);
+        }
+
+        io.emit('watch-folder-result', { file: fileName, status: 'failed', error: error.message });
+        console.error(`Watch folder: failed to add ${fileName}:`, error.message);
+    }
+}
+
+/**
+ * Adds the torrent and magnet files waiting in the watch folder
+ */
+async function scanWatchFolder() {
+    if (isScanningWatchFolder) {
+        return;
+    }
+
+    isScanningWatchFolder = true;
+
+    try {
+        const entries = await fs.promises.readdir(CONFIG.WATCH_DIR, { withFileTypes: true });
+
+        for (const entry of entries) {
+            const extension = path.extname(entry.name).toLowerCase();
+
+            if (!entry.isFile() || !['.torrent', '.magnet', '.txt'].includes(extension)) {
+                continue;
+            }
+
+            // Files still being written are picked up by a later scan
+            const { mtimeMs } = await fs.promises.stat(path.join(CONFIG.WATCH_DIR, entry.name));
+
+            if (Date.now() - mtimeMs >= CONFIG.WATCH_SETTLE_TIME) {
+                await processWatchFile(entry.name);
+            }
+        }
+    } catch (error) {
+        console.error('Error scanning watch folder:', error.message);
+    } finally {
+        isScanningWatchFolder = false;
+    }
+}
+
+/**
+ * Starts monitoring the watch folder. fs.watch gives quick pickup where it works,
+ * and the periodic scan covers network and container mounts where it does not.
+ */
+function startWatchFolder() {
+    try {
+        fs.mkdirSync(CONFIG.WATCH_DIR, { recursive: true });
+    } catch (error) {
+        console.error(`Watch folder disabled, cannot create ${CONFIG.WATCH_DIR}:`, error.message);
+        return;
+    }
+
+    try {
+        watchFolderWatcher = fs.watch(CONFIG.WATCH_DIR, () => {
+            setTimeout(scanWatchFolder, CONFIG.WATCH_SETTLE_TIME);
+        });
+        watchFolderWatcher.on('error', (error) => {
+            console.error('Watch folder watcher error:', error.message);
+        });
+    } catch (error) {
+        console.error('fs.watch unavailable for the watch folder, polling only:', error.message);
+    }
+
+    watchFolderInterval = setInterval(scanWatchFolder, CONFIG.WATCH_SCAN_INTERVAL);
+    scanWatchFolder();
+}
+
+// =============================================================================
+// RSS FEEDS
+// =============================================================================
+
+/** Statuses recorded in the feed history */
+const FEED_HISTORY_STATUSES = Object.freeze(['matched', 'skipped', 'failed']);
+
+/** Predefined XML entities */
+const XML_ENTITIES = Object.freeze({
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\'',
+});
+
+/** Size unit multipliers used by feeds that publish sizes as text (e.g. "1.4 GiB") */
+const SIZE_UNITS = Object.freeze({
+    b: 1,
+    kb: 1000,
+    kib: 1024,
+    mb: 1000 ** 2,
+    mib: 1024 ** 2,
+    gb: 1000 ** 3,
+    gib: 1024 ** 3,
+    tb: 1000 ** 4,
+    tib: 1024 ** 4,
+});
+
+/** IDs of feeds currently being checked, so overlapping checks are skipped */
+const checkingFeeds = new Set();
+
+/**
+ * Decodes CDATA sections and character entities in XML text
+ * @param {string} text - Raw element content
+ * @returns {string} Decoded, trimmed text
+ */
+function decodeXmlText(text) {
+    return text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>|&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, cdata, entity) => {
+        if (cdata !== undefined) {
+            return cdata;
+        }
+
+        if (entity.startsWith('#')) {
+            const isHex = entity[1].toLowerCase() === 'x';
+            const codePoint = parseInt(entity.slice(isHex ? 2 : 1), isHex ? 16 : 10);
+
+            return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+        }
+
+        return XML_ENTITIES[entity.toLowerCase()] ?? match;
+    }).trim();
+}
+
+/**
+ * Parses the attributes of an XML start tag
+ * @param {string} text - Attribute part of the tag
+ * @returns {Object} Attribute values by lowercased name
+ */
+function parseXmlAttributes(text = '') {
+    const attributes = {};
+
+    for (const [, name, doubleQuoted, singleQuoted] of text.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attributes[name.toLowerCase()] = decodeXmlText(doubleQuoted ?? singleQuoted);
+    }
+
+    return attributes;
+}
+
+/**
+ * Finds the elements with a tag name. Feeds are simple enough that a pattern
+ * match is sufficient, and it avoids an XML parser dependency.
+ * @param {string} xml - XML text
+ * @param {string} tagName - Tag name, including any namespace prefix
+ * @returns {Array<{attributes: Object, raw: string, text: string}>} Matching elements
+ */
+function findXmlElements(xml, tagName) {
+    const pattern = new RegExp(`<${tagName}(\\s[^>]*?)?(?:/>|>([\\s\\S]*?)</${tagName}\\s*>)`, 'gi');
+
+    return [...xml.matchAll(pattern)].map(([, attributes, content = '']) => ({
+        attributes: parseXmlAttributes(attributes),
+        raw: content,
+        text: decodeXmlText(content),
+    }));
+}
+
+/**
+ * Parses a size published as text
+ * @param {string} text - Plain byte count or a number with a unit
+ * @returns {number} Size in bytes, or 0 if unknown
+ */
+function parseSizeText(text) {
+    const match = /^([\d.,]+)\s*([kmgt]i?b|b)?$/i.exec(text.trim());
+
+    if (!match) {
+        return 0;
+    }
+
+    const value = parseFloat(match[1].replace(/,/g, ''));
+    const unit = SIZE_UNITS[(match[2] || 'b').toLowerCase()];
+
+    return Number.isFinite(value) ? Math.round(value * unit) : 0;
+}
+
+/**
+ * Resolves a link found in a feed against the feed URL
+ * @param {string} link - Absolute or relative link
+ * @param {string} baseUrl - Feed URL
+ * @returns {string|null} Absolute link, or null if it is not a magnet or http(s) URL
+ */
+function resolveFeedLink(link, baseUrl) {
+    if (!link) {
+        return null;
+    }
+
+    if (link.toLowerCase().startsWith('magnet:')) {
+        return link;
+    }
+
+    try {
+        const url = new URL(link, baseUrl);
+        return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Extracts the torrent link and size of a feed item
+ * @param {string} content - Raw item XML
+ * @param {string} baseUrl - Feed URL
+ * @returns {{link: string|null, size: number}} Torrent link and size in bytes
+ */
+function parseFeedItemTorrent(content, baseUrl) {
+    const [enclosure] = findXmlElements(content, 'enclosure');
+    const atomLinks = findXmlElements(content, 'link').filter(({ attributes }) => attributes.href);
+    const torrentLink = atomLinks.find(({ attributes }) => attributes.rel === 'enclosure'
+        || attributes.type === 'application/x-bittorrent');
+    const [rssLink] = findXmlElements(content, 'link').filter(({ text }) => text);
+    const magnet = findXmlElements(content, 'torrent:magnetURI')[0]?.text
+        || decodeXmlText(content.match(/magnet:\?[^\s"'<\]]+/i)?.[0] || '');
+
+    const link = [
+        magnet,
+        enclosure?.attributes.url,
+        torrentLink?.attributes.href,
+        rssLink?.text,
+        atomLinks[0]?.attributes.href,
+    ].map((candidate) => resolveFeedLink(candidate, baseUrl)).find(Boolean) || null;
+
+    const torznabSize = findXmlElements(content, 'torznab:attr')
+        .find(({ attributes }) => attributes.name === 'size')?.attributes.value;
+    const sizeText = [
+        enclosure?.attributes.length,
+        torrentLink?.attributes.length,
+        torznabSize,
+        findXmlElements(content, 'torrent:contentLength')[0]?.text,
+        findXmlElements(content, 'contentLength')[0]?.text,
+        findXmlElements(content, 'nyaa:size')[0]?.text,
+        findXmlElements(content, 'size')[0]?.text,
+    ].find(Boolean);
+
+    return { link, size: sizeText ? parseSizeText(sizeText) : 0 };
+}
+
+/**
+ * Gets a key identifying the episode a release title refers to
+ * @param {string} title - Release title, e.g. "Show.Name.S01E05.1080p"
+ * @returns {string|null} Key like "show name|S01E05", or null if the title has no episode number
+ */
+function getEpisodeKey(title) {
+    const match = /^(.*?)[\s._-]*\bS(\d{1,2})[\s._-]?E(\d{1,4})\b/i.exec(title)
+        || /^(.*?)[\s._-]*\b(\d{1,2})x(\d{2,4})\b/i.exec(title);
+
+    if (!match) {
+        return null;
+    }
+
+    const show = match[1].toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    const season = match[2].padStart(2, '0');
+    const episode = match[3].padStart(2, '0');
+
+    return `${show}|S${season}E${episode}`;
+}
+
+/**
+ * Parses the items of an RSS or Atom feed
+ * @param {string} xml - Feed XML
+ * @param {string} baseUrl - Feed URL, used to resolve relative links
+ * @returns {Array<Object>} Items with guid, title, link, size and episode, in feed order
+ * @throws {Error} If the document is not an RSS or Atom feed
+ */
+function parseFeedItems(xml, baseUrl) {
+    if (!/<(rss|feed|rdf:RDF)[\s>]/i.test(xml)) {
+        throw new Error('Not an RSS or Atom feed');
+    }
+
+    const elements = findXmlElements(xml, 'item');
+    const entries = elements.length > 0 ? elements : findXmlElements(xml, 'entry');
+
+    return entries.map(({ raw }) => {
+        const title = findXmlElements(raw, 'title')[0]?.text || 'Untitled';
+        const { link, size } = parseFeedItemTorrent(raw, baseUrl);
+        const guid = findXmlElements(raw, 'guid')[0]?.text || findXmlElements(raw, 'id')[0]?.text
+            || link || title;
+
+        return { guid, title, link, size, episode: getEpisodeKey(title) };
+    });
+}
+
+/**
+ * Downloads a feed or .torrent file
+ * @param {string} url - http(s) URL
+ * @param {number} maxBytes - Largest accepted response
+ * @returns {Promise<Buffer>} Response body
+ * @throws {Error} On network errors, error responses, timeouts and oversized responses
+ */
+async function fetchFeedResource(url, maxBytes) {
+    const response = await fetch(url, {
+        signal: AbortSignal.timeout(CONFIG.FEED_FETCH_TIMEOUT),
+        headers: { 'User-Agent': 'Torrent-Download' },
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+    }
+
+    if (Number(response.headers.get('content-length')) > maxBytes) {
+        throw new Error(`Response is larger than ${maxBytes} bytes`);
+    }
+
+    const body = Buffer.from(await response.arrayBuffer());
+
+    if (body.length > maxBytes) {
+        throw new Error(`Response is larger than ${maxBytes} bytes`);
+    }
+
+    return body;
+}
+
+/**
+ * Serializes a feed for client transmission
+ * @param {Object} feed - Feed
+ * @returns {Object} Serialized feed
+ */
+function serializeFeed(feed) {
+    return {
+        id: feed.id,
+        name: feed.name,
+        url: feed.url,
+        enabled: feed.enabled,
+        interval: feed.interval,
+        lastCheckedAt: feed.lastCheckedAt,
+        lastError: feed.lastError,
+        rules: feed.rules.map((rule) => ({ ...rule })),
+        checking: checkingFeeds.has(feed.id),
+        nextCheckAt: feed.enabled ? (feed.lastCheckedAt || 0) + feed.interval * 60000 : null,
+    };
+}
+
+/**
+ * Reads feeds and the feed history from disk
+ */
+function loadFeeds() {
+    for (const [file, target] of [[CONFIG.FEEDS_FILE, feeds], [CONFIG.FEED_HISTORY_FILE, feedHistory]]) {
+        if (!fs.existsSync(file)) {
+            continue;
+        }
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+            target.push(...(Array.isArray(stored) ? stored : []));
+        } catch (error) {
+            console.error(`Error reading ${path.basename(file)}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Writes feeds to disk and notifies clients
+ */
+function saveFeeds() {
+    try {
+        fs.writeFileSync(CONFIG.FEEDS_FILE, JSON.stringify(feeds, null, 2));
+    } catch (error) {
+        console.error('Error saving feeds:', error.message);
+    }
+
+    io.emit('feeds-update', feeds.map(serializeFeed));
+}
+
+/**
+ * Writes the feed history to disk
+ */
+function saveFeedHistory() {
+    try {
+        fs.writeFileSync(CONFIG.FEED_HISTORY_FILE, JSON.stringify(feedHistory));
+    } catch (error) {
+        console.error('Error saving feed history:', error.message);
+    }
+}
+
+/**
+ * Validates feed fields, filling in defaults for a new feed
+ * @param {Object} input - Requested fields (name, url, interval, enabled)
+ * @param {Object} [existing] - Feed being updated
+ * @returns {Object} Validated feed fields
+ * @throws {Error} If a field is invalid
+ */
+function parseFeedInput(input, existing = {}) {
+    const fields = { ...existing };
+
+    if (input.url !== undefined || !existing.url) {
+        let url;
+
+        try {
+            url = new URL(typeof input.url === 'string' ? input.url.trim() : '');
+        } catch {
+            throw new Error('"url" must be an http(s) URL');
+        }
+
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw new Error('"url" must be an http(s) URL');
+        }
+
+        if (feeds.some((feed) => feed.url === url.href && feed.id !== existing.id)) {
+            throw new Error('A feed with this URL already exists');
+        }
+
+        fields.url = url.href;
+    }
+
+    if (input.name !== undefined) {
+        if (typeof input.name !== 'string' || input.name.trim().length > 100) {
+            throw new Error('"name" must be a string of at most 100 characters');
+        }
+
+        fields.name = input.name.trim();
+    }
+
+    if (input.interval !== undefined) {
+        if (!Number.isInteger(input.interval) || input.interval < 1 || input.interval > 1440) {
+            throw new Error('"interval" must be a whole number of minutes between 1 and 1440');
+        }
+
+        fields.interval = input.interval;
+    }
+
+    if (input.enabled !== undefined) {
+        if (typeof input.enabled !== 'boolean') {
+            throw new Error('"enabled" must be a boolean');
+        }
+
+        fields.enabled = input.enabled;
+    }
+
+    return {
+        ...fields,
+        name: fields.name || new URL(fields.url).hostname,
+        interval: fields.interval || CONFIG.FEED_INTERVAL,
+        enabled: fields.enabled ?? true,
+    };
+}
+
+/**
+ * Validates rule fields, filling in defaults for a new rule
+ * @param {Object} input - Requested fields
+ * @param {Object} [existing] - Rule being updated
+ * @returns {Object} Validated rule fields
+ * @throws {Error} If a field is invalid
+ */
+function parseFeedRule(input, existing = {}) {
+    const rule = { ...existing };
+
+    for (const field of ['name', 'include', 'exclude']) {
+        if (input[field] !== undefined) {
+            if (typeof input[field] !== 'string' || input[field].length > 500) {
+                throw new Error(`"${field}" must be a string of at most 500 characters`);
+            }
+
+            rule[field] = input[field].trim();
+        }
+    }
+
+    for (const field of ['include', 'exclude']) {
+        try {
+            new RegExp(rule[field] || '', 'i');
+        } catch (error) {
+            throw new Error(`"${field}" is not a valid regular expression: ${error.message}`);
+        }
+    }
+
+    for (const field of ['minSize', 'maxSize']) {
+        if (input[field] !== undefined) {
+            if (input[field] !== null && (!Number.isFinite(input[field]) || input[field] < 0)) {
+                throw new Error(`"${field}" must be a non-negative number of bytes or null`);
+            }
+
+            rule[field] = input[field] || null;
+        }
+    }
+
+    if (rule.minSize && rule.maxSize && rule.minSize > rule.maxSize) {
+        throw new Error('"minSize" must not be larger than "maxSize"');
+    }
+
+    if (input.category !== undefined) {
+        getCategoryOptions(input.category);
+        rule.category = input.category || null;
+    }
+
+    for (const field of ['enabled', 'dedupeEpisodes']) {
+        if (input[field] !== undefined) {
+            if (typeof input[field] !== 'boolean') {
+                throw new Error(`"${field}" must be a boolean`);
+            }
+
+            rule[field] = input[field];
+        }
+    }
+
+    return {
+        id: rule.id || uuidv4(),
+        name: rule.name || rule.include || 'All items',
+        enabled: rule.enabled ?? true,
+        include: rule.include || '',
+        exclude: rule.exclude || '',
+        minSize: rule.minSize || null,
+        maxSize: rule.maxSize || null,
+        category: rule.category || null,
+        dedupeEpisodes: rule.dedupeEpisodes ?? false,
+        downloadedEpisodes: rule.downloadedEpisodes || [],
+    };
+}
+
+/**
+ * Checks a feed item against a rule's filters
+ * @param {Object} rule - Feed rule
+ * @param {Object} item - Parsed feed item
+ * @returns {string|null} Why the item does not match, or null if it matches
+ */
+function getRuleMismatch(rule, item) {
+    if (rule.include && !new RegExp(rule.include, 'i').test(item.title)) {
+        return 'does not match the include pattern';
+    }
+
+    if (rule.exclude && new RegExp(rule.exclude, 'i').test(item.title)) {
+        return 'matches the exclude pattern';
+    }
+
+    if ((rule.minSize || rule.maxSize) && !item.size) {
+        return 'size is unknown';
+    }
+
+    if (rule.minSize && item.size < rule.minSize) {
+        return 'smaller than the minimum size';
+    }
+
+    if (rule.maxSize && item.size > rule.maxSize) {
+        return 'larger than the maximum size';
+    }
+
+    return null;
+}
+
+/**
+ * Adds a feed item's torrent through the normal add path
+ * @param {Object} item - Feed item with a magnet or .torrent link
+ * @param {string|null} category - Category for the download
+ * @returns {Promise<Object>} Result of addOrMergeDownload
+ * @throws {Error} If the link cannot be fetched or is not a valid torrent
+ */
+async function addFeedItem(item, category) {
+    const categoryOptions = getCategoryOptions(category);
+
+    if (!item.link) {
+        throw new Error('Item has no torrent or magnet link');
+    }
+
+    if (item.link.toLowerCase().startsWith('magnet:')) {
+        let parsed;
+
+        try {
+            parsed = parseMagnetLink(item.link);
+        } catch (error) {
+            throw new Error(`Invalid magnet link: ${error.message}`);
+        }
+
+        return addOrMergeDownload(item.link, parsed, {
+            options: {
+                ...categoryOptions,
+                ...(parsed.select && { selectOnly: parsed.select }),
+                trackers: withExtraTrackers(),
+            },
+        });
+    }
+
+    const contents = await fetchFeedResource(item.link, CONFIG.MAX_TORRENT_FILE_SIZE);
+    const parsed = await parseTorrentFile(contents);
+
+    return addOrMergeDownload(contents, parsed, {
+        magnetURI: toMagnetURI(parsed),
+        options: categoryOptions,
+    });
+}
+
+/**
+ * Records a feed history entry and notifies clients
+ * @param {Object} entry - History entry fields
+ */
+function recordFeedHistory(entry) {
+    const historyEntry = { id: uuidv4(), ...entry, at: Date.now() };
+
+    feedHistory.unshift(historyEntry);
+    feedHistory.splice(CONFIG.FEED_HISTORY_LIMIT);
+    io.emit('feed-history', historyEntry);
+}
+
+/**
+ * Evaluates a new feed item against the feed's rules and adds it if one matches
+ * @param {Object} feed - Feed
+ * @param {Object} item - Parsed feed item
+ */
+async function processFeedItem(feed, item) {
+    const entry = {
+        feedId: feed.id,
+        feedName: feed.name,
+        title: item.title,
+        link: item.link,
+        size: item.size,
+        episode: item.episode,
+    };
+    const mismatches = [];
+    // The first enabled rule that matches decides the category and episode tracking
+    const rule = feed.rules.filter(({ enabled }) => enabled).find((candidate) => {
+        const mismatch = getRuleMismatch(candidate, item);
+
+        if (mismatch) {
+            mismatches.push(`${candidate.name}: ${mismatch}`);
+        }
+
+        return !mismatch;
+    });
+
+    if (!rule) {
+        recordFeedHistory({ ...entry, status: 'skipped', reason: mismatches.join('; ') });
+        return;
+    }
+
+    Object.assign(entry, { ruleId: rule.id, ruleName: rule.name });
+
+    if (rule.dedupeEpisodes && item.episode && rule.downloadedEpisodes.includes(item.episode)) {
+        const [, episode] = item.episode.split('|');
+        recordFeedHistory({ ...entry, status: 'skipped', reason: `Episode ${episode} already downloaded` });
+        return;
+    }
+
+    try {
+        const result = await addFeedItem(item, rule.category);
+
+        if (rule.dedupeEpisodes && item.episode) {
+            rule.downloadedEpisodes.push(item.episode);
+        }
+
+        recordFeedHistory({
+            ...entry,
+            status: 'matched',
+            reason: result.alreadyExists ? 'Torrent already exists' : null,
+            downloadId: result.id,
+        });
+        console.log(`Feed ${feed.name}: added "${item.title}"`);
+    } catch (error) {
+        recordFeedHistory({ ...entry, status: 'failed', reason: error.message });
+        console.error(`Feed ${feed.name}: failed to add "${item.title}":`, error.message);
+    }
+}
+
+/**
+ * Fetches a feed and processes the items that have not been seen before.
+ * Feeds without enabled rules are left unread, so their items are still
+ * evaluated once the first rule is added.
+ * @param {Object} feed - Feed
+ */
+async function checkFeed(feed) {
+    if (checkingFeeds.has(feed.id) || !feed.rules.some(({ enabled }) => enabled)) {
+        return;
+    }
+
+    checkingFeeds.add(feed.id);
+    io.emit('feeds-update', feeds.map(serializeFeed));
+
+    try {
+        const xml = (await fetchFeedResource(feed.url, CONFIG.MAX_FEED_SIZE)).toString('utf8');
+        const items = parseFeedItems(xml, feed.url);
+        const seen = new Set(feed.seenItems);
+
+        // Feeds list the newest item first, and older episodes should be added first
+        for (const item of items.reverse()) {
+            if (!seen.has(item.guid)) {
+                await processFeedItem(feed, item);
+                feed.seenItems.push(item.guid);
+            }
+        }
+
+        feed.seenItems = feed.seenItems.slice(-CONFIG.FEED_SEEN_LIMIT);
+        feed.lastError = null;
+    } catch (error) {
+        feed.lastError = error.message;
+        console.error(`Error checking feed ${feed.name}:`, error.message);
+    } finally {
+        feed.lastCheckedAt = Date.now();
+        checkingFeeds.delete(feed.id);
+        saveFeedHistory();
+        saveFeeds();
+    }
+}
+
+/**
+ * Checks the enabled feeds whose poll interval has elapsed
+ */
+async function checkDueFeeds() {
+    for (const feed of feeds) {
+        if (feed.enabled && Date.now() - (feed.lastCheckedAt || 0) >= feed.interval * 60000) {
+            await checkFeed(feed);
+        }
+    }
+}
+
+/**
+ * Finds a feed by ID
+ * @param {string} id - Feed ID
+ * @returns {Object|undefined} Feed
+ */
+function findFeed(id) {
+    return feeds.find((feed) => feed.id === id);
+}
+
+// =============================================================================
+// STREAMING ROUTES
+// =============================================================================
+
+/**
+ * GET /transcode/*
+ * Transcodes unsupported formats to browser-compatible format using FFmpeg
+ */
+app.get('/transcode/*', (req, res) => {
+    try {
+        const filePath = decodeURIComponent(req.params[0]);
+        let fullPath;
+
+        // Security: Prevent directory traversal
+        try {
+            fullPath = resolveFilePath(filePath);
+        } catch {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ 
+                error: 'Invalid file path' 
+            });
+        }
+        
+        // Check if file exists
+        if (!fs.existsSync(fullPath)) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ 
+                error: 'File not found' 
+            });
+        }
+        
+        // Check if FFmpeg is available
+        if (!ffmpegAvailable) {
             return res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
                 error: 'FFmpeg not available for transcoding' 
             });
         }
-        
-        const ext = path.extname(fullPath).toLowerCase();
-        const isVideo = ['.mkv', '.avi', '.mov', '.wmv', '.flv', '.m4v', '.3gp'].includes(ext);
-        const isAudio = ['.flac', '.wma', '.aac'].includes(ext);
-        
-        if (isVideo) {
-            // Transcode video to MP4/H.264 for browser compatibility
-            res.setHeader('Content-Type', 'video/mp4');
-            res.setHeader('Transfer-Encoding', 'chunked');
-            
-            const ffmpegProcess = spawn('ffmpeg', [
-                '-i', fullPath,
-                '-c:v', 'libx264',
-                '-preset', 'ultrafast',
-                '-tune', 'zerolatency',
-                '-crf', '23',
-                '-c:a', 'aac',
-                '-b:a', '128k',
-                '-movflags', 'frag_keyframe+empty_moov+faststart',
-                '-f', 'mp4',
-                '-'
-            ]);
-            
-            ffmpegProcess.stdout.pipe(res);
-            
-            ffmpegProcess.stderr.on('data', (data) => {
-                // FFmpeg logs to stderr, we can ignore or log for debugging
-                // console.log('FFmpeg:', data.toString());
-            });
-            
-            ffmpegProcess.on('error', (err) => {
-                console.error('FFmpeg error:', err.message);
-                if (!res.headersSent) {
-                    res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
-                        error: 'Transcoding failed' 
-                    });
-                }
-            });
-            
-            ffmpegProcess.on('close', (code) => {
-                if (code !== 0 && !res.headersSent) {
-                    console.error('FFmpeg exited with code:', code);
-                }
-            });
-            
-            // Kill FFmpeg if client disconnects
-            req.on('close', () => {
-                ffmpegProcess.kill('SIGTERM');
-            });
-            
-        } else if (isAudio) {
-            // Transcode audio to MP3 for browser compatibility
-            res.setHeader('Content-Type', 'audio/mpeg');
-            res.setHeader('Transfer-Encoding', 'chunked');
-            
-            const ffmpegProcess = spawn('ffmpeg', [
-                '-i', fullPath,
-                '-c:a', 'libmp3lame',
-                '-b:a', '192k',
-                '-f', 'mp3',
-                '-'
-            ]);
-            
-            ffmpegProcess.stdout.pipe(res);
-            
-            ffmpegProcess.stderr.on('data', () => {});
-            
-            ffmpegProcess.on('error', (err) => {
-                console.error('FFmpeg error:', err.message);
-                if (!res.headersSent) {
-                    res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
-                        error: 'Transcoding failed' 
-                    });
-                }
+        
+        const ext = path.extname(fullPath).toLowerCase();
+        const isVideo = ['.mkv', '.avi', '.mov', '.wmv', '.flv', '.m4v', '.3gp'].includes(ext);
+        const isAudio = ['.flac', '.wma', '.aac'].includes(ext);
+        
+        if (isVideo) {
+            // Transcode video to MP4/H.264 for browser compatibility
+            res.setHeader('Content-Type', 'video/mp4');
+            res.setHeader('Transfer-Encoding', 'chunked');
+            
+            const ffmpegProcess = spawn('ffmpeg', [
+                '-i', fullPath,
+                '-c:v', 'libx264',
+                '-preset', 'ultrafast',
+                '-tune', 'zerolatency',
+                '-crf', '23',
+                '-c:a', 'aac',
+                '-b:a', '128k',
+                '-movflags', 'frag_keyframe+empty_moov+faststart',
+                '-f', 'mp4',
+                '-'
+            ]);
+            
+            ffmpegProcess.stdout.pipe(res);
+            
+            ffmpegProcess.stderr.on('data', (data) => {
+                // FFmpeg logs to stderr, we can ignore or log for debugging
+                // console.log('FFmpeg:', data.toString());
+            });
+            
+            ffmpegProcess.on('error', (err) => {
+                console.error('FFmpeg error:', err.message);
+                if (!res.headersSent) {
+                    res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
+                        error: 'Transcoding failed' 
+                    });
+                }
+            });
+            
+            ffmpegProcess.on('close', (code) => {
+                if (code !== 0 && !res.headersSent) {
+                    console.error('FFmpeg exited with code:', code);
+                }
+            });
+            
+            // Kill FFmpeg if client disconnects
+            req.on('close', () => {
+                ffmpegProcess.kill('SIGTERM');
+            });
+            
+        } else if (isAudio) {
+            // Transcode audio to MP3 for browser compatibility
+            res.setHeader('Content-Type', 'audio/mpeg');
+            res.setHeader('Transfer-Encoding', 'chunked');
+            
+            const ffmpegProcess = spawn('ffmpeg', [
+                '-i', fullPath,
+                '-c:a', 'libmp3lame',
+                '-b:a', '192k',
+                '-f', 'mp3',
+                '-'
+            ]);
+            
+            ffmpegProcess.stdout.pipe(res);
+            
+            ffmpegProcess.stderr.on('data', () => {});
+            
+            ffmpegProcess.on('error', (err) => {
+                console.error('FFmpeg error:', err.message);
+                if (!res.headersSent) {
+                    res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
+                        error: 'Transcoding failed' 
+                    });
+                }
+            });
+            
+            req.on('close', () => {
+                ffmpegProcess.kill('SIGTERM');
+            });
+        } else {
+            // Format not supported for transcoding
+            res.status(HTTP_STATUS.BAD_REQUEST).json({ 
+                error: 'Format not supported for transcoding' 
+            });
+        }
+    } catch (error) {
+        console.error('Transcoding error:', error.message);
+        res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
+            error: 'Failed to transcode file' 
+        });
+    }
+});
+
+/**
+ * GET /api/ffmpeg-status
+ * Returns FFmpeg availability status
+ */
+app.get('/api/ffmpeg-status', (req, res) => {
+    res.json({ available: ffmpegAvailable });
+});
+
+/**
+ * GET /stream/*
+ * Streams media files with range request support for seeking
+ */
+app.get('/stream/*', (req, res) => {
+    try {
+        // Get file path from URL
+        const filePath = decodeURIComponent(req.params[0]);
+        let fullPath;
+
+        // Security: Prevent directory traversal
+        try {
+            fullPath = resolveFilePath(filePath);
+        } catch {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ 
+                error: 'Invalid file path' 
+            });
+        }
+        
+        // Check if file exists
+        if (!fs.existsSync(fullPath)) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ 
+                error: 'File not found' 
+            });
+        }
+        
+        const stat = fs.statSync(fullPath);
+        const fileSize = stat.size;
+        const ext = path.extname(fullPath);
+        const mimeType = getMimeType(ext);
+        
+        // Handle range requests for video seeking
+        const range = req.headers.range;
+        
+        if (range) {
+            // Parse range header
+            const parts = range.replace(/bytes=/, '').split('-');
+            const start = parseInt(parts[0], 10);
+            const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
+            
+            // Validate range
+            if (start >= fileSize || end >= fileSize) {
+                res.status(416).json({ error: 'Range not satisfiable' });
+                return;
+            }
+            
+            const chunkSize = (end - start) + 1;
+            
+            // Create read stream for the range
+            const stream = fs.createReadStream(fullPath, { start, end });
+            
+            // Set headers for partial content
+            res.writeHead(206, {
+                'Content-Range': `bytes ${start}-${end}/${fileSize}`,
+                'Accept-Ranges': 'bytes',
+                'Content-Length': chunkSize,
+                'Content-Type': mimeType,
+                'Cache-Control': 'public, max-age=3600',
+            });
+            
+            stream.pipe(res);
+            
+            stream.on('error', (err) => {
+                console.error('Stream error:', err.message);
+                if (!res.headersSent) {
+                    res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
+                        error: 'Stream error' 
+                    });
+                }
+            });
+        } else {
+            // No range request - send entire file
+            res.writeHead(200, {
+                'Content-Length': fileSize,
+                'Content-Type': mimeType,
+                'Accept-Ranges': 'bytes',
+                'Cache-Control': 'public, max-age=3600',
+            });
+            
+            const stream = fs.createReadStream(fullPath);
+            stream.pipe(res);
+            
+            stream.on('error', (err) => {
+                console.error('Stream error:', err.message);
+                if (!res.headersSent) {
+                    res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
+                        error: 'Stream error' 
+                    });
+                }
+            });
+        }
+    } catch (error) {
+        console.error('Streaming error:', error.message);
+        res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
+            error: 'Failed to stream file' 
+        });
+    }
+});
+
+/**
+ * Parses an HTTP Range header for a single byte range
+ * @param {string} range - Range header value (e.g. "bytes=0-1023" or "bytes=-500")
+ * @param {number} size - Total size in bytes
+ * @returns {{start: number, end: number}|null} Inclusive byte range, or null if unsatisfiable
+ */
+function parseRangeHeader(range, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+
+    let start;
+    let end;
+
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(size - parseInt(match[2], 10), 0);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    return start <= end && start < size ? { start, end } : null;
+}
+
+/**
+ * Marks the pieces at the start and end of a file as critical, since media players
+ * read container metadata from both ends before playback starts
+ * @param {Object} torrent - WebTorrent torrent object
+ * @param {Object} file - WebTorrent file object
+ */
+function prioritizeFileEdges(torrent, file) {
+    if (file.length === 0) {
+        return;
+    }
+
+    const { pieceLength } = torrent;
+    const firstPiece = Math.floor(file.offset / pieceLength);
+    const lastPiece = Math.floor((file.offset + file.length - 1) / pieceLength);
+    const edgePieces = Math.ceil(CONFIG.STREAM_EDGE_BYTES / pieceLength);
+
+    torrent.critical(firstPiece, Math.min(firstPiece + edgePieces - 1, lastPiece));
+    torrent.critical(Math.max(lastPiece - edgePieces + 1, firstPiece), lastPiece);
+}
+
+/**
+ * GET /api/download/:id/stream/:index
+ * Streams a file straight from the torrent, waiting for pieces that have not arrived yet
+ */
+app.get('/api/download/:id/stream/:index', (req, res) => {
+    const download = activeDownloads.get(req.params.id);
+
+    if (!download) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Download not found',
+        });
+    }
+
+    const { torrent } = download;
+    const file = torrent?.files[Number(req.params.index)];
+
+    if (!file) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: torrent?.files.length ? 'File not found' : 'Torrent metadata is not available yet',
+        });
+    }
+
+    if (torrent.paused && !file.done) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+            error: `Cannot stream while the download is ${download.status}`,
+        });
+    }
+
+    try {
+        const mimeType = getMimeType(path.extname(file.name));
+        let start = 0;
+        let end = file.length - 1;
+
+        if (req.headers.range) {
+            const range = parseRangeHeader(req.headers.range, file.length);
+
+            if (!range) {
+                res.setHeader('Content-Range', `bytes */${file.length}`);
+                return res.status(416).json({ error: 'Range not satisfiable' });
+            }
+
+            ({ start, end } = range);
+
+            res.writeHead(206, {
+                'Content-Range': `bytes ${start}-${end}/${file.length}`,
+                'Accept-Ranges': 'bytes',
+                'Content-Length': end - start + 1,
+                'Content-Type': mimeType,
+                'Cache-Control': 'no-cache',
+            });
+        } else {
+            res.writeHead(200, {
+                'Content-Length': file.length,
+                'Content-Type': mimeType,
+                'Accept-Ranges': 'bytes',
+                'Cache-Control': 'no-cache',
+            });
+        }
+
+        if (!file.done) {
+            prioritizeFileEdges(torrent, file);
+        }
+
+        if (file.length === 0) {
+            return res.end();
+        }
+
+        // The file stream requests the pieces it needs next and waits for them to arrive
+        const stream = file.createReadStream({ start, end });
+        let stallTimer = null;
+
+        const resetStallTimer = () => {
+            clearTimeout(stallTimer);
+            stallTimer = setTimeout(() => {
+                console.error(`Stream stalled, closing: ${file.name}`);
+                stream.destroy();
+                res.destroy();
+            }, CONFIG.STREAM_STALL_TIMEOUT);
+        };
+
+        resetStallTimer();
+        stream.on('data', resetStallTimer);
+        stream.on('close', () => clearTimeout(stallTimer));
+        stream.pipe(res);
+
+        stream.on('error', (err) => {
+            console.error('Stream error:', err.message);
+            res.destroy();
+        });
+
+        // Stop fetching pieces for this range once the player goes away
+        req.on('close', () => stream.destroy());
+    } catch (error) {
+        console.error('Streaming error:', error.message);
+
+        if (!res.headersSent) {
+            res.status(HTTP_STATUS.INTERNAL_ERROR).json({
+                error: 'Failed to stream file',
+            });
+        }
+    }
+});
+
+/**
+ * GET /files/*
+ * Serves files for download (static file serving with proper headers)
+ */
+app.get('/files/*', (req, res) => {
+    try {
+        const filePath = decodeURIComponent(req.params[0]);
+        let fullPath;
+
+        // Security: Prevent directory traversal
+        try {
+            fullPath = resolveFilePath(filePath);
+        } catch {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({ 
+                error: 'Invalid file path' 
+            });
+        }
+        
+        // Check if file exists
+        if (!fs.existsSync(fullPath)) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({ 
+                error: 'File not found' 
+            });
+        }
+        
+        const filename = path.basename(fullPath);
+        const ext = path.extname(fullPath);
+        const mimeType = getMimeType(ext);
+        
+        res.setHeader('Content-Type', mimeType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        
+        res.sendFile(fullPath);
+    } catch (error) {
+        console.error('File serving error:', error.message);
+        res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
+            error: 'Failed to serve file' 
+        });
+    }
+});
+
+// =============================================================================
+// API ROUTES
+// =============================================================================
+
+/**
+ * Builds the response body for an add request
+ * @param {Object} result - Result of addOrMergeDownload
+ * @returns {Object} Response body
+ */
+function createAddResponse(result) {
+    if (!result.alreadyExists) {
+        return {
+            id: result.id,
+            message: 'Download started successfully',
+            infoHash: result.infoHash,
+        };
+    }
+
+    const trackerNote = result.trackersAdded.length > 0
+        ? `, added ${result.trackersAdded.length} new tracker(s)`
+        : '';
+
+    return {
+        id: result.id,
+        message: `Torrent already exists${trackerNote}`,
+        infoHash: result.infoHash,
+        alreadyExists: true,
+        trackersAdded: result.trackersAdded,
+    };
+}
+
+/**
+ * GET /api/downloads
+ * Returns all active downloads (?category=<name> limits it to one category)
+ */
+app.get('/api/downloads', (req, res) => {
+    const { category } = req.query;
+
+    try {
+        const downloads = getAllDownloads()
+            .filter((download) => !category || download.category === category);
+        res.status(HTTP_STATUS.OK).json(downloads);
+    } catch (error) {
+        console.error('Error fetching downloads:', error.message);
+        res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
+            error: 'Failed to fetch downloads' 
+        });
+    }
+});
+
+/**
+ * POST /api/download
+ * Adds a new torrent download via magnet link.
+ * Body: { magnetLink, category? }
+ */
+app.post('/api/download', (req, res) => {
+    const { magnetLink, category } = req.body;
+    let parsed;
+    let categoryOptions;
+
+    try {
+        parsed = parseMagnetLink(magnetLink);
+    } catch (error) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: `Invalid magnet link: ${error.message}`,
+        });
+    }
+
+    try {
+        categoryOptions = getCategoryOptions(category);
+    } catch (error) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: error.message,
+        });
+    }
+
+    try {
+        const result = addOrMergeDownload(magnetLink, parsed, {
+            options: {
+                ...categoryOptions,
+                ...(parsed.select && { selectOnly: parsed.select }),
+                trackers: withExtraTrackers(),
+            },
+        });
+
+        res.status(HTTP_STATUS.OK).json(createAddResponse(result));
+
+        if (!result.alreadyExists) {
+            console.log(`New download started: ${result.id}`);
+        }
+    } catch (error) {
+        console.error('Error starting download:', error.message);
+        res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
+            error: 'Failed to start download' 
+        });
+    }
+});
+
+/**
+ * POST /api/magnet/parse
+ * Decodes a magnet link without adding it.
+ * Body: { magnetLink }
+ */
+app.post('/api/magnet/parse', (req, res) => {
+    let magnet;
+
+    try {
+        magnet = parseMagnetLink(req.body?.magnetLink);
+    } catch (error) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: `Invalid magnet link: ${error.message}`,
+        });
+    }
+
+    const existing = findDownloadByInfoHash(magnet.infoHash);
+
+    res.status(HTTP_STATUS.OK).json({
+        ...magnet,
+        ...(existing && { existingId: existing[0] }),
+    });
+});
+
+/**
+ * POST /api/metadata
+ * Fetches a magnet's file list without starting the download.
+ * Body: { magnetLink }
+ */
+app.post('/api/metadata', (req, res) => {
+    const { magnetLink } = req.body;
+    let magnet;
+
+    try {
+        magnet = parseMagnetLink(magnetLink);
+    } catch (error) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: `Invalid magnet link: ${error.message}`,
+        });
+    }
+
+    const existing = findDownloadByInfoHash(magnet.infoHash);
+
+    // Known torrents skip the preview and just pick up the new trackers
+    if (existing) {
+        const [id, download] = existing;
+        const trackersAdded = addTrackers(download, magnet.announce);
+
+        return res.status(HTTP_STATUS.OK).json(createAddResponse({
+            id, infoHash: magnet.infoHash, alreadyExists: true, trackersAdded,
+        }));
+    }
+
+    try {
+        const { id, preview } = fetchMetadata(magnetLink, magnet);
+        res.status(HTTP_STATUS.OK).json(serializeMetadata(id, preview));
+    } catch (error) {
+        console.error('Error fetching metadata:', error.message);
+        res.status(HTTP_STATUS.INTERNAL_ERROR).json({
+            error: 'Failed to fetch metadata',
+        });
+    }
+});
+
+/**
+ * GET /api/metadata/:id
+ * Gets a metadata preview; files are listed once its status is "ready"
+ */
+app.get('/api/metadata/:id', (req, res) => {
+    const preview = pendingMetadata.get(req.params.id);
+
+    if (!preview) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Metadata preview not found',
+        });
+    }
+
+    res.status(HTTP_STATUS.OK).json(serializeMetadata(req.params.id, preview));
+});
+
+/**
+ * POST /api/metadata/:id/confirm
+ * Starts downloading a previewed torrent.
+ * Body: { selectedFiles?, category? } - selectedFiles are the indexes of the files to download (all when omitted)
+ */
+app.post('/api/metadata/:id/confirm', (req, res) => {
+    const { id } = req.params;
+    const preview = pendingMetadata.get(id);
+
+    if (!preview) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Metadata preview not found',
+        });
+    }
+
+    if (preview.status !== 'ready') {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+            error: 'Metadata has not been received yet',
+        });
+    }
+
+    let fileSelection;
+    let categoryOptions;
+
+    try {
+        fileSelection = buildPreviewFileSelection(preview, req.body?.selectedFiles);
+        categoryOptions = getCategoryOptions(req.body?.category);
+    } catch (error) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: error.message,
+        });
+    }
+
+    try {
+        // Adding the fetched .torrent file starts without another metadata round trip,
+        // and discards the preview
+        const result = addOrMergeDownload(preview.torrentFile, {
+            infoHash: preview.infoHash,
+            announce: parseMagnetLink(preview.magnetLink).announce,
+        }, {
+            magnetURI: preview.magnetLink,
+            options: {
+                ...categoryOptions,
+                ...(fileSelection && { fileSelection }),
+                trackers: withExtraTrackers(),
+            },
+        });
+
+        res.status(HTTP_STATUS.OK).json(createAddResponse(result));
+
+        if (!result.alreadyExists) {
+            console.log(`New download started: ${result.id}`);
+        }
+    } catch (error) {
+        console.error('Error starting download:', error.message);
+        res.status(HTTP_STATUS.INTERNAL_ERROR).json({
+            error: 'Failed to start download',
+        });
+    }
+});
+
+/**
+ * DELETE /api/metadata/:id
+ * Discards a metadata preview
+ */
+app.delete('/api/metadata/:id', (req, res) => {
+    if (!discardMetadata(req.params.id)) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Metadata preview not found',
+        });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+        message: 'Metadata preview discarded',
+    });
+});
+
+/**
+ * POST /api/download/torrent
+ * Adds a new torrent download from an uploaded .torrent file (multipart field "torrent",
+ * optional field "category")
+ */
+app.post('/api/download/torrent', (req, res) => {
+    torrentUpload.single('torrent')(req, res, async (uploadError) => {
+        if (uploadError) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                error: uploadError.code === 'LIMIT_FILE_SIZE'
+                    ? 'Torrent file is too large'
+                    : `Invalid upload: ${uploadError.message}`,
+            });
+        }
+
+        if (!req.file) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                error: 'No torrent file uploaded. Use the "torrent" form field',
+            });
+        }
+
+        let parsed;
+        let categoryOptions;
+
+        try {
+            parsed = await parseTorrentFile(req.file.buffer);
+            categoryOptions = getCategoryOptions(req.body?.category);
+        } catch (error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                error: error.message,
+            });
+        }
+
+        try {
+            const result = addOrMergeDownload(req.file.buffer, parsed, {
+                magnetURI: toMagnetURI(parsed),
+                options: categoryOptions,
+            });
+
+            res.status(HTTP_STATUS.OK).json(createAddResponse(result));
+
+            if (!result.alreadyExists) {
+                console.log(`New download started from torrent file: ${result.id}`);
+            }
+        } catch (error) {
+            console.error('Error starting download:', error.message);
+            res.status(HTTP_STATUS.INTERNAL_ERROR).json({
+                error: 'Failed to start download',
+            });
+        }
+    });
+});
+
+/**
+ * POST /api/torrent/create
+ * Creates a torrent from a file or folder in the downloads directory and starts seeding it.
+ * Body: { path, trackers?, pieceLength?, private?, comment? }
+ */
+app.post('/api/torrent/create', async (req, res) => {
+    let options;
+
+    try {
+        options = parseCreateTorrentOptions(req.body || {});
+    } catch (error) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: error.message,
+        });
+    }
+
+    try {
+        const torrentFile = await buildTorrentFile(options);
+        const parsed = await parseTorrent(torrentFile);
+        const magnetURI = toMagnetURI(parsed);
+
+        const result = addOrMergeDownload(torrentFile, parsed, {
+            magnetURI,
+            skipVerify: true,
+            options: { savePath: path.dirname(options.inputPath) },
+        });
+
+        res.status(HTTP_STATUS.OK).json({
+            ...createAddResponse(result),
+            ...(!result.alreadyExists && { message: 'Torrent created and seeding' }),
+            magnetURI,
+            torrentUrl: `/api/download/${result.id}/torrent`,
+        });
+
+        console.log(`Torrent created from ${options.inputPath}: ${parsed.infoHash}`);
+    } catch (error) {
+        console.error('Error creating torrent:', error.message);
+        res.status(HTTP_STATUS.INTERNAL_ERROR).json({
+            error: 'Failed to create torrent',
+        });
+    }
+});
+
+/**
+ * GET /api/download/:id/torrent
+ * Downloads the .torrent file of a download
+ */
+app.get('/api/download/:id/torrent', (req, res) => {
+    const download = activeDownloads.get(req.params.id);
+
+    if (!download) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Download not found',
+        });
+    }
+
+    const cachedPath = download.infoHash ? getTorrentFilePath(download.infoHash) : null;
+    const torrentFile = download.torrent?.torrentFile
+        || (cachedPath && fs.existsSync(cachedPath) ? fs.readFileSync(cachedPath) : null);
+
+    if (!torrentFile) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+            error: 'Torrent metadata is not available yet',
+        });
+    }
+
+    // Keep the header value ASCII-safe; the filename* parameter carries the real name
+    const fileName = `${download.name}.torrent`;
+    res.setHeader('Content-Type', 'application/x-bittorrent');
+    res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${fileName.replace(/[^\x20-\x7e]|"/g, '_')}"; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+    );
+    res.send(Buffer.from(torrentFile));
+});
+
+/**
+ * GET /api/download/:id/hooks
+ * Gets the results of the hooks run for a download, oldest first
+ */
+app.get('/api/download/:id/hooks', (req, res) => {
+    const download = activeDownloads.get(req.params.id);
+
+    if (!download) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Download not found',
+        });
+    }
+
+    res.status(HTTP_STATUS.OK).json(download.hookResults);
+});
+
+/**
+ * GET /api/download/:id/details
+ * Gets the connected peers, tracker announce status, DHT state and pieces of a download
+ */
+app.get('/api/download/:id/details', (req, res) => {
+    const { id } = req.params;
+    const download = activeDownloads.get(id);
+
+    if (!download) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Download not found',
+        });
+    }
+
+    res.status(HTTP_STATUS.OK).json(getDownloadDetails(id, download));
+});
+
+/**
+ * GET /api/download/:id/trackers
+ * Lists the trackers of a download with their announce status
+ */
+app.get('/api/download/:id/trackers', (req, res) => {
+    const download = activeDownloads.get(req.params.id);
+
+    if (!download) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Download not found',
+        });
+    }
+
+    res.status(HTTP_STATUS.OK).json(getTrackerList(download));
+});
+
+/**
+ * POST /api/download/:id/trackers
+ * Adds trackers to a download and announces to them right away.
+ * Body: { trackers: [url] }
+ */
+app.post('/api/download/:id/trackers', (req, res) => {
+    const download = activeDownloads.get(req.params.id);
+    let urls;
+
+    if (!download) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Download not found',
+        });
+    }
+
+    try {
+        urls = parseTrackerList(req.body?.trackers, 'trackers');
+    } catch (error) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: error.message,
+        });
+    }
+
+    const added = addTrackers(download, urls);
+
+    res.status(HTTP_STATUS.OK).json({
+        message: added.length > 0 ? `Added ${added.length} tracker(s)` : 'All trackers were already added',
+        added,
+        trackers: getTrackerList(download),
+    });
+});
+
+/**
+ * DELETE /api/download/:id/trackers
+ * Removes trackers from a download.
+ * Body: { trackers: [url] }
+ */
+app.delete('/api/download/:id/trackers', (req, res) => {
+    const download = activeDownloads.get(req.params.id);
+    let urls;
+
+    if (!download) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Download not found',
+        });
+    }
+
+    try {
+        urls = parseTrackerList(req.body?.trackers, 'trackers');
+    } catch (error) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: error.message,
+        });
+    }
+
+    const removed = removeTrackers(download, urls);
+
+    if (removed.length === 0) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'None of the trackers belong to this download',
+        });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+        message: `Removed ${removed.length} tracker(s)`,
+        removed,
+        trackers: getTrackerList(download),
+    });
+});
+
+/**
+ * POST /api/download/:id/reannounce
+ * Announces a download to its trackers now instead of at the next interval
+ */
+app.post('/api/download/:id/reannounce', (req, res) => {
+    const download = activeDownloads.get(req.params.id);
+
+    if (!download) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Download not found',
+        });
+    }
+
+    if (['paused', 'queued', 'checking', 'moving', 'error'].includes(download.status)) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+            error: `Cannot re-announce a ${download.status} download`,
+        });
+    }
+
+    if (!reannounceDownload(download)) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+            error: 'The download is not announcing to trackers yet',
+        });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+        message: 'Re-announced to trackers',
+    });
+});
+
+/**
+ * PUT /api/download/:id/files
+ * Sets which files of a torrent are downloaded and their priority.
+ * Body: { files: [{ index, selected?, priority? }] } where priority is high, normal or low
+ */
+app.put('/api/download/:id/files', (req, res) => {
+    const { id } = req.params;
+    const download = activeDownloads.get(id);
+
+    if (!download) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Download not found',
+        });
+    }
+
+    const { torrent } = download;
+
+    if (!torrent || torrent.files.length === 0) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+            error: 'Torrent metadata is not available yet',
+        });
+    }
+
+    if (!['downloading', 'paused', 'queued'].includes(download.status)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: `Cannot change files of a download that is ${download.status}`,
+        });
+    }
+
+    const { files } = req.body;
+
+    if (!Array.isArray(files) || files.length === 0) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: 'Request body must contain a non-empty "files" array',
+        });
+    }
+
+    const fileSelection = torrent.files.map((file, index) => ({ ...getFileSelection(download, index) }));
+
+    for (const change of files) {
+        const index = change?.index;
+
+        if (!Number.isInteger(index) || index < 0 || index >= fileSelection.length) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                error: `Invalid file index: ${index}`,
+            });
+        }
+
+        if (change.selected !== undefined && typeof change.selected !== 'boolean') {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                error: '"selected" must be a boolean',
             });
-            
-            req.on('close', () => {
-                ffmpegProcess.kill('SIGTERM');
+        }
+
+        if (change.priority !== undefined && !(change.priority in FILE_PRIORITIES)) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                error: `Invalid priority. Use one of: ${Object.keys(FILE_PRIORITIES).join(', ')}`,
             });
+        }
+
+        Object.assign(fileSelection[index], {
+            ...(change.selected !== undefined && { selected: change.selected }),
+            ...(change.priority !== undefined && { priority: change.priority }),
+        });
+    }
+
+    if (!fileSelection.some((file) => file.selected)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: 'At least one file must be selected',
+        });
+    }
+
+    try {
+        download.options.fileSelection = fileSelection;
+        applyFileSelection(torrent, download);
+        updateTransferStats(download, torrent);
+        scheduleStateSave();
+
+        // Skipping the last unfinished files completes the download immediately
+        if (['downloading', 'queued'].includes(download.status) && isSelectionComplete(download)) {
+            if (download.status === 'queued') {
+                removeFromQueue(id);
+                startTorrent(torrent);
+            }
+            completeDownload(id, torrent);
         } else {
-            // Format not supported for transcoding
-            res.status(HTTP_STATUS.BAD_REQUEST).json({ 
-                error: 'Format not supported for transcoding' 
+            io.emit('download-update', serializeDownload(id, download));
+        }
+
+        res.status(HTTP_STATUS.OK).json(serializeDownload(id, download));
+    } catch (error) {
+        console.error('Error updating file selection:', error.message);
+        res.status(HTTP_STATUS.INTERNAL_ERROR).json({
+            error: 'Failed to update file selection',
+        });
+    }
+});
+
+/**
+ * POST /api/download/:id/pause
+ * Pauses a download without removing it
+ */
+app.post('/api/download/:id/pause', (req, res) => {
+    const { id } = req.params;
+    const download = activeDownloads.get(id);
+
+    if (!download) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Download not found',
+        });
+    }
+
+    try {
+        if (!pauseDownload(id, download)) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                error: `Cannot pause a download that is ${download.status}`,
+            });
+        }
+
+        res.status(HTTP_STATUS.OK).json({
+            message: 'Download paused successfully',
+        });
+    } catch (error) {
+        console.error('Error pausing download:', error.message);
+        res.status(HTTP_STATUS.INTERNAL_ERROR).json({
+            error: 'Failed to pause download',
+        });
+    }
+});
+
+/**
+ * POST /api/download/:id/resume
+ * Resumes a paused download
+ */
+app.post('/api/download/:id/resume', (req, res) => {
+    const { id } = req.params;
+    const download = activeDownloads.get(id);
+
+    if (!download) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Download not found',
+        });
+    }
+
+    try {
+        if (!resumeDownload(id, download)) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                error: 'Download is not paused',
             });
         }
+
+        res.status(HTTP_STATUS.OK).json({
+            message: 'Download resumed successfully',
+        });
+    } catch (error) {
+        console.error('Error resuming download:', error.message);
+        res.status(HTTP_STATUS.INTERNAL_ERROR).json({
+            error: 'Failed to resume download',
+        });
+    }
+});
+
+/**
+ * POST /api/download/:id/verify
+ * Re-hashes a download's data, then downloads any missing or corrupt pieces.
+ * Progress is reported through download-update events with the 'checking' status.
+ */
+app.post('/api/download/:id/verify', (req, res) => {
+    const { id } = req.params;
+    const download = activeDownloads.get(id);
+
+    if (!download) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Download not found',
+        });
+    }
+
+    if (['checking', 'moving'].includes(download.status)) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+            error: `Download is already ${download.status}`,
+        });
+    }
+
+    if (!download.torrent?.ready) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+            error: 'Only loaded torrents whose data has been checked once can be verified',
+        });
+    }
+
+    verifyDownload(id, download);
+
+    res.status(HTTP_STATUS.OK).json({
+        message: 'Verification started',
+    });
+});
+
+/**
+ * POST /api/download/:id/queue/:direction
+ * Moves a queued download up, down, to the top or to the bottom of the queue
+ */
+app.post('/api/download/:id/queue/:direction', (req, res) => {
+    const { id, direction } = req.params;
+    const download = activeDownloads.get(id);
+
+    if (!download) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Download not found',
+        });
+    }
+
+    if (!['up', 'down', 'top', 'bottom'].includes(direction)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: 'Invalid direction. Use one of: up, down, top, bottom',
+        });
+    }
+
+    if (!moveInQueue(id, direction)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: 'Download is not queued',
+        });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+        message: 'Queue position updated',
+        queuePosition: getQueuePosition(id),
+    });
+});
+
+/**
+ * PUT /api/download/:id/category
+ * Changes the category of a download and moves its data to the category's save path.
+ * Body: { category } - category name, or null for none
+ */
+app.put('/api/download/:id/category', async (req, res) => {
+    const { id } = req.params;
+    const download = activeDownloads.get(id);
+    const category = req.body?.category || null;
+
+    if (!download) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Download not found',
+        });
+    }
+
+    if (download.status === 'moving') {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+            error: 'Download is already being moved',
+        });
+    }
+
+    if (download.status === 'checking') {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+            error: 'Download is being verified',
+        });
+    }
+
+    if (category && !categories.has(category)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: `Unknown category: ${category}`,
+        });
+    }
+
+    try {
+        await setDownloadCategory(id, download, category);
+
+        res.status(HTTP_STATUS.OK).json({
+            message: category ? `Moved to ${category}` : 'Category removed',
+        });
+    } catch (error) {
+        console.error('Error changing category:', error.message);
+        res.status(HTTP_STATUS.INTERNAL_ERROR).json({
+            error: `Failed to move download: ${error.message}`,
+        });
+    }
+});
+
+/**
+ * PUT /api/download/:id/limits
+ * Sets per-download rate limits in bytes per second (0 removes the limit)
+ */
+app.put('/api/download/:id/limits', (req, res) => {
+    const { id } = req.params;
+    const download = activeDownloads.get(id);
+
+    if (!download) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Download not found',
+        });
+    }
+
+    const limits = {};
+
+    try {
+        for (const key of ['downloadLimit', 'uploadLimit']) {
+            if (req.body?.[key] !== undefined) {
+                limits[key] = parseNonNegativeInteger(req.body[key], key);
+            }
+        }
     } catch (error) {
-        console.error('Transcoding error:', error.message);
-        res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
-            error: 'Failed to transcode file' 
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: error.message,
+        });
+    }
+
+    if (Object.keys(limits).length === 0) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: 'Request body must contain "downloadLimit" and/or "uploadLimit"',
         });
     }
+
+    setDownloadLimits(download, limits);
+    io.emit('download-update', serializeDownload(id, download));
+
+    res.status(HTTP_STATUS.OK).json(serializeDownload(id, download));
 });
 
 /**
- * GET /api/ffmpeg-status
- * Returns FFmpeg availability status
+ * PUT /api/download/:id/seeding
+ * Overrides the seeding policy of a download (null resets a field to the default)
  */
-app.get('/api/ffmpeg-status', (req, res) => {
-    res.json({ available: ffmpegAvailable });
+app.put('/api/download/:id/seeding', (req, res) => {
+    const { id } = req.params;
+    const download = activeDownloads.get(id);
+
+    if (!download) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Download not found',
+        });
+    }
+
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: 'Request body must be a seeding policy object',
+        });
+    }
+
+    try {
+        setSeedPolicy(download, req.body);
+    } catch (error) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: error.message,
+        });
+    }
+
+    io.emit('download-update', serializeDownload(id, download));
+    res.status(HTTP_STATUS.OK).json(serializeDownload(id, download));
 });
 
 /**
- * GET /stream/*
- * Streams media files with range request support for seeking
+ * POST /api/downloads/pause
+ * Pauses all downloads
  */
-app.get('/stream/*', (req, res) => {
+app.post('/api/downloads/pause', (req, res) => {
     try {
-        // Get file path from URL
-        const filePath = decodeURIComponent(req.params[0]);
-        const fullPath = path.join(CONFIG.DOWNLOADS_DIR, filePath);
-        
-        // Security: Prevent directory traversal
-        const normalizedPath = path.normalize(fullPath);
-        if (!normalizedPath.startsWith(CONFIG.DOWNLOADS_DIR)) {
-            return res.status(HTTP_STATUS.BAD_REQUEST).json({ 
-                error: 'Invalid file path' 
-            });
-        }
-        
-        // Check if file exists
-        if (!fs.existsSync(fullPath)) {
-            return res.status(HTTP_STATUS.NOT_FOUND).json({ 
-                error: 'File not found' 
-            });
-        }
+        let count = 0;
+
+        activeDownloads.forEach((download, id) => {
+            if (pauseDownload(id, download)) {
+                count++;
+            }
+        });
+
+        res.status(HTTP_STATUS.OK).json({
+            message: `Paused ${count} download(s)`,
+            count,
+        });
+    } catch (error) {
+        console.error('Error pausing downloads:', error.message);
+        res.status(HTTP_STATUS.INTERNAL_ERROR).json({
+            error: 'Failed to pause downloads',
+        });
+    }
+});
+
+/**
+ * POST /api/downloads/resume
+ * Resumes all paused downloads
+ */
+app.post('/api/downloads/resume', (req, res) => {
+    try {
+        let count = 0;
+
+        activeDownloads.forEach((download, id) => {
+            if (resumeDownload(id, download)) {
+                count++;
+            }
+        });
+
+        res.status(HTTP_STATUS.OK).json({
+            message: `Resumed ${count} download(s)`,
+            count,
+        });
+    } catch (error) {
+        console.error('Error resuming downloads:', error.message);
+        res.status(HTTP_STATUS.INTERNAL_ERROR).json({
+            error: 'Failed to resume downloads',
+        });
+    }
+});
+
+/**
+ * DELETE /api/download/:id
+ * Removes a download without deleting files
+ */
+app.delete('/api/download/:id', (req, res) => {
+    const { id } = req.params;
+    const download = activeDownloads.get(id);
+
+    if (!download) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({ 
+            error: 'Download not found' 
+        });
+    }
+
+    // Its data is on its way to another directory; removing it now would race the move
+    if (download.status === 'moving') {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+            error: 'Download is being moved',
+        });
+    }
+
+    try {
+        removeDownload(id, download);
+
+        res.status(HTTP_STATUS.OK).json({ 
+            message: 'Download removed successfully' 
+        });
         
-        const stat = fs.statSync(fullPath);
-        const fileSize = stat.size;
-        const ext = path.extname(fullPath);
-        const mimeType = getMimeType(ext);
+        console.log(`Download removed: ${id}`);
+    } catch (error) {
+        console.error('Error removing download:', error.message);
+        res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
+            error: 'Failed to remove download' 
+        });
+    }
+});
+
+/**
+ * DELETE /api/download/:id/files
+ * Removes a download and deletes associated files
+ */
+app.delete('/api/download/:id/files', (req, res) => {
+    const { id } = req.params;
+    const download = activeDownloads.get(id);
+
+    if (!download) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({ 
+            error: 'Download not found' 
+        });
+    }
+
+    // Its data is on its way to another directory; removing it now would race the move
+    if (download.status === 'moving') {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+            error: 'Download is being moved',
+        });
+    }
+
+    try {
+        removeDownload(id, download, true);
+
+        res.status(HTTP_STATUS.OK).json({ 
+            message: 'Download and files removed successfully' 
+        });
         
-        // Handle range requests for video seeking
-        const range = req.headers.range;
+        console.log(`Download and files removed: ${id}`);
+    } catch (error) {
+        console.error('Error removing download and files:', error.message);
+        res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
+            error: 'Failed to remove download and files' 
+        });
+    }
+});
+
+/**
+ * GET /api/files
+ * Returns list of all downloaded files (?category=<name> limits it to one category,
+ * ?incomplete=true adds the partial data of active downloads)
+ */
+app.get('/api/files', (req, res) => {
+    const { category, incomplete } = req.query;
+
+    if (category && !categories.has(category)) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Category not found',
+        });
+    }
+
+    try {
+        const files = listFiles(category, incomplete === 'true');
         
-        if (range) {
-            // Parse range header
-            const parts = range.replace(/bytes=/, '').split('-');
-            const start = parseInt(parts[0], 10);
-            const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-            
-            // Validate range
-            if (start >= fileSize || end >= fileSize) {
-                res.status(416).json({ error: 'Range not satisfiable' });
-                return;
-            }
-            
-            const chunkSize = (end - start) + 1;
-            
-            // Create read stream for the range
-            const stream = fs.createReadStream(fullPath, { start, end });
-            
-            // Set headers for partial content
-            res.writeHead(206, {
-                'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-                'Accept-Ranges': 'bytes',
-                'Content-Length': chunkSize,
-                'Content-Type': mimeType,
-                'Cache-Control': 'public, max-age=3600',
-            });
-            
-            stream.pipe(res);
-            
-            stream.on('error', (err) => {
-                console.error('Stream error:', err.message);
-                if (!res.headersSent) {
-                    res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
-                        error: 'Stream error' 
-                    });
-                }
-            });
-        } else {
-            // No range request - send entire file
-            res.writeHead(200, {
-                'Content-Length': fileSize,
-                'Content-Type': mimeType,
-                'Accept-Ranges': 'bytes',
-                'Cache-Control': 'public, max-age=3600',
-            });
-            
-            const stream = fs.createReadStream(fullPath);
-            stream.pipe(res);
-            
-            stream.on('error', (err) => {
-                console.error('Stream error:', err.message);
-                if (!res.headersSent) {
-                    res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
-                        error: 'Stream error' 
-                    });
-                }
-            });
-        }
+        res.status(HTTP_STATUS.OK).json(files);
+    } catch (error) {
+        console.error('Error listing files:', error.message);
+        res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
+            error: 'Failed to list files' 
+        });
+    }
+});
+
+/**
+ * GET /api/history
+ * Returns every download ever added, newest first, including removed ones.
+ * Query: search? (name or info hash), limit? (default 50, max 200), offset?
+ */
+app.get('/api/history', (req, res) => {
+    const search = String(req.query.search || '').trim().toLowerCase();
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    // Serialized first so downloads still in the list are searched by their current name
+    const entries = history.entries.map(serializeHistoryEntry).filter((entry) => !search
+        || entry.name.toLowerCase().includes(search)
+        || entry.infoHash === search);
+
+    res.status(HTTP_STATUS.OK).json({
+        total: entries.length,
+        offset,
+        limit,
+        entries: entries.slice(offset, offset + limit),
+    });
+});
+
+/**
+ * GET /api/history/stats
+ * Returns lifetime totals: torrents added and completed, bytes transferred and average download speed
+ */
+app.get('/api/history/stats', (req, res) => {
+    res.status(HTTP_STATUS.OK).json(getHistoryStats());
+});
+
+/**
+ * GET /api/categories
+ * Returns all categories with their resolved save paths
+ */
+app.get('/api/categories', (req, res) => {
+    res.status(HTTP_STATUS.OK).json(serializeCategories());
+});
+
+/**
+ * PUT /api/categories/:name
+ * Creates a category or changes its save path (used by new downloads only).
+ * Body: { savePath? } - absolute, or relative to the downloads directory
+ */
+app.put('/api/categories/:name', (req, res) => {
+    const exists = categories.has(req.params.name);
+
+    try {
+        setCategory(req.params.name, req.body?.savePath);
+    } catch (error) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: error.message,
+        });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+        message: exists ? 'Category updated' : 'Category created',
+        categories: serializeCategories(),
+    });
+});
+
+/**
+ * DELETE /api/categories/:name
+ * Deletes a category; its downloads keep their data and become uncategorized
+ */
+app.delete('/api/categories/:name', (req, res) => {
+    if (!deleteCategory(req.params.name)) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Category not found',
+        });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+        message: 'Category deleted',
+        categories: serializeCategories(),
+    });
+});
+
+/**
+ * GET /api/feeds
+ * Returns all RSS/Atom feeds with their rules
+ */
+app.get('/api/feeds', (req, res) => {
+    res.status(HTTP_STATUS.OK).json(feeds.map(serializeFeed));
+});
+
+/**
+ * POST /api/feeds
+ * Adds a feed; it is polled once it has an enabled rule.
+ * Body: { url, name?, interval? (minutes), enabled? }
+ */
+app.post('/api/feeds', (req, res) => {
+    let feed;
+
+    try {
+        feed = {
+            id: uuidv4(),
+            ...parseFeedInput(req.body || {}),
+            rules: [],
+            lastCheckedAt: null,
+            lastError: null,
+            seenItems: [],
+        };
     } catch (error) {
-        console.error('Streaming error:', error.message);
-        res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
-            error: 'Failed to stream file' 
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: error.message,
+        });
+    }
+
+    feeds.push(feed);
+    saveFeeds();
+
+    res.status(HTTP_STATUS.OK).json({
+        message: 'Feed added',
+        feed: serializeFeed(feed),
+    });
+});
+
+/**
+ * GET /api/feeds/history
+ * Returns evaluated feed items, newest first.
+ * Query: feedId?, status? (matched|skipped|failed), limit? (default 50, max 200), offset?
+ */
+app.get('/api/feeds/history', (req, res) => {
+    const { feedId, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    if (status && !FEED_HISTORY_STATUSES.includes(status)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: `"status" must be one of: ${FEED_HISTORY_STATUSES.join(', ')}`,
         });
     }
+
+    const entries = feedHistory.filter((entry) => (!feedId || entry.feedId === feedId)
+        && (!status || entry.status === status));
+
+    res.status(HTTP_STATUS.OK).json({
+        total: entries.length,
+        offset,
+        limit,
+        entries: entries.slice(offset, offset + limit),
+    });
 });
 
 /**
- * GET /files/*
- * Serves files for download (static file serving with proper headers)
+ * POST /api/feeds/history/:id/download
+ * Adds the item of a history entry, e.g. one that was skipped or failed,
+ * using the category of the rule that matched it, if any
  */
-app.get('/files/*', (req, res) => {
+app.post('/api/feeds/history/:id/download', async (req, res) => {
+    const entry = feedHistory.find(({ id }) => id === req.params.id);
+
+    if (!entry) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'History entry not found',
+        });
+    }
+
+    const rule = findFeed(entry.feedId)?.rules.find(({ id }) => id === entry.ruleId);
+
     try {
-        const filePath = decodeURIComponent(req.params[0]);
-        const fullPath = path.join(CONFIG.DOWNLOADS_DIR, filePath);
-        
-        // Security: Prevent directory traversal
-        const normalizedPath = path.normalize(fullPath);
-        if (!normalizedPath.startsWith(CONFIG.DOWNLOADS_DIR)) {
-            return res.status(HTTP_STATUS.BAD_REQUEST).json({ 
-                error: 'Invalid file path' 
-            });
-        }
-        
-        // Check if file exists
-        if (!fs.existsSync(fullPath)) {
-            return res.status(HTTP_STATUS.NOT_FOUND).json({ 
-                error: 'File not found' 
-            });
+        const result = await addFeedItem(entry, rule?.category);
+
+        if (rule?.dedupeEpisodes && entry.episode && !rule.downloadedEpisodes.includes(entry.episode)) {
+            rule.downloadedEpisodes.push(entry.episode);
+            saveFeeds();
         }
-        
-        const filename = path.basename(fullPath);
-        const ext = path.extname(fullPath);
-        const mimeType = getMimeType(ext);
-        
-        res.setHeader('Content-Type', mimeType);
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        
-        res.sendFile(fullPath);
+
+        res.status(HTTP_STATUS.OK).json(createAddResponse(result));
     } catch (error) {
-        console.error('File serving error:', error.message);
-        res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
-            error: 'Failed to serve file' 
+        res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: error.message,
         });
     }
 });
 
-// =============================================================================
-// API ROUTES
-// =============================================================================
-
 /**
- * GET /api/downloads
- * Returns all active downloads
+ * PUT /api/feeds/:id
+ * Updates a feed
+ * Body: { url?, name?, interval?, enabled? }
  */
-app.get('/api/downloads', (req, res) => {
+app.put('/api/feeds/:id', (req, res) => {
+    const feed = findFeed(req.params.id);
+
+    if (!feed) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Feed not found',
+        });
+    }
+
     try {
-        const downloads = getAllDownloads();
-        res.status(HTTP_STATUS.OK).json(downloads);
+        Object.assign(feed, parseFeedInput(req.body || {}, feed));
     } catch (error) {
-        console.error('Error fetching downloads:', error.message);
-        res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
-            error: 'Failed to fetch downloads' 
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: error.message,
         });
     }
+
+    saveFeeds();
+
+    res.status(HTTP_STATUS.OK).json({
+        message: 'Feed updated',
+        feed: serializeFeed(feed),
+    });
 });
 
 /**
- * POST /api/download
- * Adds a new torrent download via magnet link
+ * DELETE /api/feeds/:id
+ * Deletes a feed and its rules; its history entries are kept
  */
-app.post('/api/download', (req, res) => {
-    const { magnetLink } = req.body;
+app.delete('/api/feeds/:id', (req, res) => {
+    const index = feeds.findIndex(({ id }) => id === req.params.id);
 
-    // Validate magnet link
-    if (!isValidMagnetLink(magnetLink)) {
-        return res.status(HTTP_STATUS.BAD_REQUEST).json({ 
-            error: 'Invalid magnet link. Must start with "magnet:?"' 
+    if (index === -1) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Feed not found',
         });
     }
 
-    const downloadId = uuidv4();
+    feeds.splice(index, 1);
+    saveFeeds();
 
-    try {
-        const torrent = torrentClient.add(magnetLink, { 
-            path: CONFIG.DOWNLOADS_DIR 
+    res.status(HTTP_STATUS.OK).json({
+        message: 'Feed deleted',
+    });
+});
+
+/**
+ * POST /api/feeds/:id/refresh
+ * Checks a feed now instead of waiting for its interval
+ */
+app.post('/api/feeds/:id/refresh', async (req, res) => {
+    const feed = findFeed(req.params.id);
+
+    if (!feed) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Feed not found',
         });
+    }
 
-        activeDownloads.set(downloadId, createDownloadEntry(torrent));
-        setupTorrentEventHandlers(downloadId, torrent);
+    if (!feed.rules.some(({ enabled }) => enabled)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: 'Feed has no enabled rules',
+        });
+    }
 
-        res.status(HTTP_STATUS.OK).json({
-            id: downloadId,
-            message: 'Download started successfully',
-            infoHash: torrent.infoHash,
+    if (checkingFeeds.has(feed.id)) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+            error: 'Feed is already being checked',
         });
-        
-        console.log(`New download started: ${downloadId}`);
+    }
+
+    await checkFeed(feed);
+
+    res.status(HTTP_STATUS.OK).json({
+        message: feed.lastError ? `Feed check failed: ${feed.lastError}` : 'Feed checked',
+        feed: serializeFeed(feed),
+    });
+});
+
+/**
+ * POST /api/feeds/:id/rules
+ * Adds a rule to a feed. Items match when the title matches "include" and not
+ * "exclude" (case-insensitive regular expressions) and the size is in range.
+ * Body: { name?, include?, exclude?, minSize?, maxSize? (bytes), category?, dedupeEpisodes?, enabled? }
+ */
+app.post('/api/feeds/:id/rules', (req, res) => {
+    const feed = findFeed(req.params.id);
+
+    if (!feed) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Feed not found',
+        });
+    }
+
+    let rule;
+
+    try {
+        rule = parseFeedRule(req.body || {});
     } catch (error) {
-        console.error('Error starting download:', error.message);
-        res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
-            error: 'Failed to start download' 
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: error.message,
         });
     }
+
+    feed.rules.push(rule);
+    saveFeeds();
+
+    res.status(HTTP_STATUS.OK).json({
+        message: 'Rule added',
+        feed: serializeFeed(feed),
+    });
 });
 
 /**
- * DELETE /api/download/:id
- * Removes a download without deleting files
+ * PUT /api/feeds/:id/rules/:ruleId
+ * Updates a feed rule
+ * Body: same fields as POST /api/feeds/:id/rules
  */
-app.delete('/api/download/:id', (req, res) => {
-    const { id } = req.params;
-    const download = activeDownloads.get(id);
+app.put('/api/feeds/:id/rules/:ruleId', (req, res) => {
+    const feed = findFeed(req.params.id);
+    const index = feed ? feed.rules.findIndex(({ id }) => id === req.params.ruleId) : -1;
 
-    if (!download) {
-        return res.status(HTTP_STATUS.NOT_FOUND).json({ 
-            error: 'Download not found' 
+    if (index === -1) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Rule not found',
         });
     }
 
     try {
-        cleanupDownload(id);
-        
-        if (download.torrent) {
-            download.torrent.destroy();
-        }
-        
-        activeDownloads.delete(id);
-        
-        res.status(HTTP_STATUS.OK).json({ 
-            message: 'Download removed successfully' 
+        feed.rules[index] = parseFeedRule(req.body || {}, feed.rules[index]);
+    } catch (error) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: error.message,
         });
-        
-        console.log(`Download removed: ${id}`);
+    }
+
+    saveFeeds();
+
+    res.status(HTTP_STATUS.OK).json({
+        message: 'Rule updated',
+        feed: serializeFeed(feed),
+    });
+});
+
+/**
+ * DELETE /api/feeds/:id/rules/:ruleId
+ * Deletes a feed rule
+ */
+app.delete('/api/feeds/:id/rules/:ruleId', (req, res) => {
+    const feed = findFeed(req.params.id);
+    const index = feed ? feed.rules.findIndex(({ id }) => id === req.params.ruleId) : -1;
+
+    if (index === -1) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: 'Rule not found',
+        });
+    }
+
+    feed.rules.splice(index, 1);
+    saveFeeds();
+
+    res.status(HTTP_STATUS.OK).json({
+        message: 'Rule deleted',
+        feed: serializeFeed(feed),
+    });
+});
+
+/**
+ * GET /api/settings
+ * Returns the current runtime settings
+ */
+app.get('/api/settings', (req, res) => {
+    res.status(HTTP_STATUS.OK).json(settings);
+});
+
+/**
+ * PUT /api/settings
+ * Updates one or more runtime settings
+ */
+app.put('/api/settings', (req, res) => {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: 'Request body must be a settings object',
+        });
+    }
+
+    try {
+        res.status(HTTP_STATUS.OK).json(updateSettings(req.body));
     } catch (error) {
-        console.error('Error removing download:', error.message);
-        res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
-            error: 'Failed to remove download' 
+        res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: error.message,
         });
     }
 });
 
 /**
- * DELETE /api/download/:id/files
- * Removes a download and deletes associated files
+ * GET /api/bandwidth
+ * Returns the global limits in effect and the total transfer speeds
  */
-app.delete('/api/download/:id/files', (req, res) => {
-    const { id } = req.params;
-    const download = activeDownloads.get(id);
+app.get('/api/bandwidth', (req, res) => {
+    res.status(HTTP_STATUS.OK).json(getBandwidthStatus());
+});
 
-    if (!download) {
-        return res.status(HTTP_STATUS.NOT_FOUND).json({ 
-            error: 'Download not found' 
+/**
+ * POST /api/bandwidth/alt-speed
+ * Turns alternative speed mode on or off (toggles when "enabled" is omitted)
+ */
+app.post('/api/bandwidth/alt-speed', (req, res) => {
+    const enabled = req.body?.enabled ?? !settings.altSpeedEnabled;
+
+    try {
+        updateSettings({ altSpeedEnabled: enabled });
+        res.status(HTTP_STATUS.OK).json(getBandwidthStatus());
+    } catch (error) {
+        res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: error.message,
         });
     }
+});
 
+/**
+ * GET /api/schedule
+ * Returns the weekly schedule and the mode in effect
+ */
+app.get('/api/schedule', (req, res) => {
+    res.status(HTTP_STATUS.OK).json({
+        ...getScheduleStatus(),
+        days: schedule.days,
+    });
+});
+
+/**
+ * PUT /api/schedule
+ * Updates the weekly schedule and ends any manual override.
+ * Body: { enabled?, days? } - days: 7 arrays (Sunday first) of 24 modes (full, limited, paused)
+ */
+app.put('/api/schedule', (req, res) => {
     try {
-        cleanupDownload(id);
-        
-        if (download.torrent) {
-            const torrentPath = path.join(CONFIG.DOWNLOADS_DIR, download.name);
-            
-            download.torrent.destroy(() => {
-                // Delete files after torrent is destroyed
-                if (fs.existsSync(torrentPath)) {
-                    fs.rmSync(torrentPath, { recursive: true, force: true });
-                    console.log(`Files deleted: ${torrentPath}`);
-                }
-            });
-        }
-        
-        activeDownloads.delete(id);
-        
-        res.status(HTTP_STATUS.OK).json({ 
-            message: 'Download and files removed successfully' 
+        updateSchedule(req.body || {});
+    } catch (error) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: error.message,
         });
-        
-        console.log(`Download and files removed: ${id}`);
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+        message: 'Schedule updated',
+        ...getScheduleStatus(),
+        days: schedule.days,
+    });
+});
+
+/**
+ * PUT /api/schedule/override
+ * Uses a mode until the scheduled mode next changes
+ * Body: { mode } - full, limited or paused
+ */
+app.put('/api/schedule/override', (req, res) => {
+    const mode = req.body?.mode;
+
+    // setScheduleOverride(null) ends the override, which is what DELETE is for
+    if (mode === null || mode === undefined) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: `"mode" must be one of: ${SCHEDULE_MODES.join(', ')}`,
+        });
+    }
+
+    try {
+        setScheduleOverride(mode);
     } catch (error) {
-        console.error('Error removing download and files:', error.message);
-        res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
-            error: 'Failed to remove download and files' 
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: error.message,
         });
     }
+
+    res.status(HTTP_STATUS.OK).json({
+        message: `Schedule overridden: ${mode}`,
+        ...getScheduleStatus(),
+    });
 });
 
 /**
- * GET /api/files
- * Returns list of all downloaded files
+ * DELETE /api/schedule/override
+ * Ends a manual override and follows the schedule again
  */
-app.get('/api/files', (req, res) => {
+app.delete('/api/schedule/override', (req, res) => {
+    setScheduleOverride(null);
+
+    res.status(HTTP_STATUS.OK).json({
+        message: 'Following the schedule again',
+        ...getScheduleStatus(),
+    });
+});
+
+/**
+ * GET /api/hooks
+ * Gets the hooks run on download events
+ */
+app.get('/api/hooks', (req, res) => {
+    res.status(HTTP_STATUS.OK).json(serializeHooks());
+});
+
+/**
+ * PUT /api/hooks
+ * Updates the hooks run on download events
+ * Body: { timeout?, retries?, added?, complete?, error? } - each event: { command?, webhook? } (null removes)
+ */
+app.put('/api/hooks', (req, res) => {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: 'Request body must be a hooks object',
+        });
+    }
+
     try {
-        let files = [];
-        
-        if (fs.existsSync(CONFIG.DOWNLOADS_DIR)) {
-            files = walkDirectory(CONFIG.DOWNLOADS_DIR);
-        }
-        
-        res.status(HTTP_STATUS.OK).json(files);
+        updateHooks(req.body);
     } catch (error) {
-        console.error('Error listing files:', error.message);
-        res.status(HTTP_STATUS.INTERNAL_ERROR).json({ 
-            error: 'Failed to list files' 
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: error.message,
         });
     }
+
+    res.status(HTTP_STATUS.OK).json({
+        message: 'Hooks updated',
+        ...serializeHooks(),
+    });
 });
 
 /**
@@ -843,6 +7386,7 @@ app.get('/api/health', (req, res) => {
         status: 'healthy',
         uptime: process.uptime(),
         timestamp: new Date().toISOString(),
+        disk: getDiskSpace(),
     });
 });
 
@@ -855,6 +7399,18 @@ io.on('connection', (socket) => {
 
     // Send current downloads status to newly connected client
     socket.emit('downloads-list', getAllDownloads());
+    socket.emit('bandwidth-update', getBandwidthStatus());
+    socket.emit('categories-update', serializeCategories());
+    socket.emit('feeds-update', feeds.map(serializeFeed));
+    socket.emit('schedule-update', getScheduleStatus());
+    socket.emit('disk-update', getDiskSpace());
+
+    // Later changes arrive as deltas against the maps sent last
+    activeDownloads.forEach((download, id) => {
+        if (download.pieceMap) {
+            socket.emit('piece-map-update', serializePieceMap(id, download));
+        }
+    });
 
     socket.on('disconnect', () => {
         console.log(`Client disconnected: ${socket.id}`);
@@ -895,12 +7451,22 @@ process.on('unhandledRejection', (reason, promise) => {
 function gracefulShutdown() {
     console.log('\nInitiating graceful shutdown...');
 
+    // Persist the latest state before torrents are torn down
+    saveState();
+
     // Clear all progress intervals
     progressIntervals.forEach((interval, id) => {
         clearInterval(interval);
         console.log(`Cleared interval for: ${id}`);
     });
     progressIntervals.clear();
+    clearInterval(seedingMonitorInterval);
+    clearInterval(pieceMapInterval);
+    clearInterval(watchFolderInterval);
+    clearInterval(feedPollInterval);
+    clearInterval(scheduleInterval);
+    clearInterval(diskMonitorInterval);
+    watchFolderWatcher?.close();
 
     // Destroy WebTorrent client
     torrentClient.destroy(() => {
@@ -930,8 +7496,28 @@ server.listen(CONFIG.PORT, () => {
     console.log('='.repeat(50));
     console.log(`📡 Server running at: http://localhost:${CONFIG.PORT}`);
     console.log(`📁 Downloads directory: ${CONFIG.DOWNLOADS_DIR}`);
+    console.log(`👀 Watch folder: ${CONFIG.WATCH_DIR}`);
     console.log(`🕐 Started at: ${new Date().toISOString()}`);
     console.log('='.repeat(50));
 });
 
+// Restore settings, categories, feeds, the schedule, hooks, the history and downloads from the previous run
+loadSettings();
+loadCategories();
+loadFeeds();
+loadSchedule();
+loadHooks();
+loadHistory();
+applyBandwidthLimits();
+restoreDownloads();
+applySchedule();
+scheduleInterval = setInterval(applySchedule, CONFIG.SCHEDULE_CHECK_INTERVAL);
+diskMonitorInterval = setInterval(monitorDiskSpace, CONFIG.DISK_CHECK_INTERVAL);
+monitorDiskSpace();
+seedingMonitorInterval = setInterval(monitorSeeding, CONFIG.PROGRESS_UPDATE_INTERVAL);
+pieceMapInterval = setInterval(broadcastPieceMaps, CONFIG.PROGRESS_UPDATE_INTERVAL);
+startWatchFolder();
+feedPollInterval = setInterval(checkDueFeeds, CONFIG.FEED_POLL_TICK);
+checkDueFeeds();
+
 export default app;